@@ -3,15 +3,31 @@
 // ============================================================================
 // Ladies Manager - Batch Processor (VPS Version)
 // ============================================================================
-// Cleaned version: FAL.ai only (Wavespeed removed)
+// Providers: see lib/providers (FAL.ai Seedream + Kling, local mock)
+// Data sources: see lib/data-sources (Airtable, local CSV/JSON files)
 // Features: Gemini Analysis, Kling Video, Rate Limiting, Circuit Breaker
 // ============================================================================
 
-import { readFileSync, mkdirSync, existsSync, createWriteStream } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, rmSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename } from 'path';
 import http from 'http';
 import https from 'https';
+import { validateRunOptions, RUN_OPTIONS_ENV } from './lib/run-options.js';
+import { createProvider, checkCapabilities, hasProvider, parseImageSize, DEFAULT_PROVIDER } from './lib/providers/index.js';
+import { JobQueue } from './lib/job-queue.js';
+import { createDataSource, checkDataSourceConfig } from './lib/data-sources/index.js';
+import { readLocalAttachment } from './lib/data-sources/file.js';
+import { PersonaSet, withStyleSuffix } from './lib/personas.js';
+import { readOverrides, applyAspectRatio } from './lib/record-overrides.js';
+import { ImageCache, checkImageCacheConfig, DEFAULT_MAX_MB } from './lib/image-cache.js';
+import { ReferenceUploader } from './lib/reference-uploader.js';
+import { preprocessImage, checkImageProcessingConfig, DEFAULT_IMAGE_PROCESSING } from './lib/image-preprocess.js';
+import { saveGeneratedImage, writeSidecar, sha256, checkPostProcessingConfig, DEFAULT_POST_PROCESSING } from './lib/image-postprocess.js';
+import { runDownloadDir } from './lib/downloads.js';
+import { downloadFile } from './lib/file-download.js';
+import { checkFreeSpace, checkDiskSpaceConfig, DEFAULT_DISK_SPACE } from './lib/retention.js';
+import { RunStore } from './lib/run-store.js';
 
 // ============================================================================
 // CONFIGURATION LOADER
@@ -36,22 +52,47 @@ try {
 function validateConfig() {
   const errors = [];
 
-  if (!CONFIG.airtable?.token) {
-    errors.push('Airtable token is missing');
+  errors.push(...checkDataSourceConfig(CONFIG));
+  errors.push(...checkImageCacheConfig(CONFIG.imageCache));
+  errors.push(...checkImageProcessingConfig(CONFIG.imageProcessing));
+  errors.push(...checkPostProcessingConfig(CONFIG.postProcessing));
+  errors.push(...checkDiskSpaceConfig(CONFIG.diskSpace));
+
+  if (errors.length > 0) {
+    console.error('❌ Configuration errors:');
+    errors.forEach(err => console.error('   - ' + err));
+    process.exit(1);
   }
+}
 
-  if (!CONFIG.airtable?.baseId) {
-    errors.push('Airtable base ID is missing');
+validateConfig();
+
+// Per-run options from POST /runs (override the data source settings)
+let RUN_OPTIONS = {};
+if (process.env[RUN_OPTIONS_ENV]) {
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env[RUN_OPTIONS_ENV]);
+  } catch (error) {
+    console.error(`❌ ${RUN_OPTIONS_ENV} is not valid JSON:`, error.message);
+    process.exit(1);
   }
 
+  const { options, errors } = validateRunOptions(parsed);
   if (errors.length > 0) {
-    console.error('❌ Configuration errors:');
+    console.error('❌ Invalid run options:');
     errors.forEach(err => console.error('   - ' + err));
     process.exit(1);
   }
+
+  RUN_OPTIONS = options;
 }
 
-validateConfig();
+// Set by server.js, recorded on queue jobs
+const RUN_ID = process.env.LM_RUN_ID || null;
+
+// Output folder downloads/<runId>/ - runs started from the command line get their own id
+const OUTPUT_RUN_ID = RUN_ID || RunStore.createId();
 
 // Check Node.js version
 const nodeVersion = parseInt(process.version.slice(1).split('.')[0]);
@@ -83,6 +124,27 @@ const httpsAgent = new https.Agent({
   keepAliveMsecs: 30000
 });
 
+// Prompts, settings and results (config.json dataSource, Airtable by default)
+const dataSource = createDataSource(CONFIG, { baseDir: __dirname, agent: httpsAgent });
+const FIELDS = dataSource.fields;
+
+const DATA_DIR = join(__dirname, CONFIG.storage?.dataDir || 'data');
+
+// Reference and Prompt_Image downloads, kept across runs
+const imageCache = new ImageCache(
+  CONFIG.imageCache?.dir ? join(__dirname, CONFIG.imageCache.dir) : join(DATA_DIR, 'image-cache'),
+  { maxBytes: (CONFIG.imageCache?.maxMB ?? DEFAULT_MAX_MB) * 1024 * 1024 }
+);
+
+// Resize / re-encode / strip metadata of input images
+const IMAGE_PROCESSING = { ...DEFAULT_IMAGE_PROCESSING, ...CONFIG.imageProcessing };
+
+// Format, thumbnails and metadata of generated images
+const POST_PROCESSING = { ...DEFAULT_POST_PROCESSING, ...CONFIG.postProcessing };
+
+// Reference images hosted by the provider once per run (data URI fallback)
+const referenceUploader = new ReferenceUploader({ enabled: CONFIG.providers?.uploadReferences !== false });
+
 console.log('✅ Connection pool configured');
 
 // ============================================================================
@@ -93,6 +155,22 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Errors a retry cannot fix (invalid record settings) - the job is
+// dead-lettered at once instead of burning retries and provider quota
+function permanentError(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
+
+// Generated fine but nothing reached downloads/ - the record stays pending
+// (with its stored provider request) and the job is retried later
+function saveFailedError(message) {
+  return Object.assign(new Error(message), { saveFailed: true });
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 function arrayToBase64(bytes) {
   const CHUNK = 0x8000;
   let str = '';
@@ -105,6 +183,155 @@ function arrayToBase64(bytes) {
   return btoa(str);
 }
 
+// ============================================================================
+// EVENT CHANNEL (IPC to server.js)
+// ============================================================================
+// Typed progress events go over the IPC channel when the processor is spawned
+// by server.js. Console output stays human-readable and is never parsed.
+
+function emitEvent(type, data = {}) {
+  if (!process.send || !process.connected) {
+    return Promise.resolve();
+  }
+
+  const event = { type, time: new Date().toISOString(), ...data };
+
+  return new Promise(resolve => {
+    process.send(event, () => resolve());
+  });
+}
+
+function closeEventChannel() {
+  if (process.connected) {
+    process.off('disconnect', handleServerDisconnect);
+    process.disconnect();
+  }
+}
+
+// ============================================================================
+// RUN CONTROL (pause / resume / cancel from server.js)
+// ============================================================================
+// Pausing or cancelling never interrupts a prompt that is already in flight:
+// it only stops new prompts from starting and new batches from being fetched.
+
+class RunControl {
+  constructor() {
+    this.paused = false;
+    this.cancelled = false;
+    this.waiters = [];
+  }
+
+  pause() {
+    if (this.paused || this.cancelled) return;
+    this.paused = true;
+    console.log('\n⏸️  Pause requested - finishing in-flight prompts, not starting new ones');
+    emitEvent('run_paused');
+  }
+
+  resume() {
+    if (!this.paused || this.cancelled) return;
+    this.paused = false;
+    console.log('\n▶️  Resuming');
+    emitEvent('run_resumed');
+    this.wakeWaiters();
+  }
+
+  cancel() {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    this.paused = false;
+    console.log('\n⏹️  Cancel requested - finishing in-flight prompts, skipping the rest');
+    emitEvent('run_cancelling');
+    this.wakeWaiters();
+  }
+
+  wakeWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // Blocks while paused; returns false once the run is cancelled
+  async checkpoint() {
+    while (this.paused && !this.cancelled) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+    return !this.cancelled;
+  }
+}
+
+const runControl = new RunControl();
+
+process.on('message', (message) => {
+  switch (message?.command) {
+    case 'pause':
+      runControl.pause();
+      break;
+    case 'resume':
+      runControl.resume();
+      break;
+    case 'cancel':
+      runControl.cancel();
+      break;
+  }
+});
+
+// Server went away (e.g. PM2 restart): stop cleanly instead of running orphaned
+function handleServerDisconnect() {
+  runControl.cancel();
+}
+
+process.on('disconnect', handleServerDisconnect);
+
+// ============================================================================
+// DISK SPACE GUARD (config.json diskSpace)
+// ============================================================================
+// Checked before the run and before every prompt. Below minFreeMB:
+//   refuse - the run fails before it starts; mid-run it stops like a cancel
+//            (untouched records stay queued)
+//   pause  - the run pauses and resumes by itself once enough space is free
+//            (or when resumed from the dashboard)
+
+const DISK_SPACE = { ...DEFAULT_DISK_SPACE, ...CONFIG.diskSpace };
+const DISK_POLL_MS = 30000;
+let diskWatcher = null;
+
+async function guardDiskSpace(dir, { preflight = false } = {}) {
+  if (DISK_SPACE.minFreeMB === 0 || diskWatcher || runControl.cancelled) return;
+
+  const space = checkFreeSpace(dir, DISK_SPACE);
+  if (space.ok) return;
+
+  const message = `Low disk space: ${formatMB(space.freeBytes)} free, ` +
+    `${formatMB(space.requiredBytes)} required (config.json diskSpace.minFreeMB)`;
+  emitEvent('disk_low', { freeBytes: space.freeBytes, requiredBytes: space.requiredBytes, action: DISK_SPACE.action });
+
+  if (DISK_SPACE.action === 'refuse') {
+    if (preflight) {
+      throw new Error(message);
+    }
+    console.error(`\n💾 ${message} - stopping the run`);
+    runControl.cancel();
+    return;
+  }
+
+  console.error(`\n💾 ${message} - pausing until space is freed`);
+  runControl.pause();
+  diskWatcher = waitForDiskSpace(dir).finally(() => { diskWatcher = null; });
+}
+
+async function waitForDiskSpace(dir) {
+  while (runControl.paused && !runControl.cancelled) {
+    // unref: a cancelled run must not wait for the next poll to exit
+    await new Promise(resolve => setTimeout(resolve, DISK_POLL_MS).unref());
+
+    if (runControl.paused && checkFreeSpace(dir, DISK_SPACE).ok) {
+      console.log('💾 Enough disk space again');
+      runControl.resume();
+    }
+  }
+}
+
 // ============================================================================
 // RATE LIMITER (Token Bucket for Gemini)
 // ============================================================================
@@ -467,144 +694,17 @@ let uploadLimiter = null;
 let circuitBreaker = null;
 let maxConcurrent = 2; // FAL.ai hard limit
 
-// ============================================================================
-// FAL.AI SEEDREAM API
-// ============================================================================
-
-class FalSeedreamAPI {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-  }
-
-  getName() {
-    return 'FAL.ai Seedream';
-  }
-
-  async generate(config) {
-    const { prompt, refImageUrls, numImages, enableNSFW, size } = config;
-
-    console.log(`[FAL] Generating ${numImages} images...`);
-
-    // Parse size
-    const [width, height] = size.split('x').map(Number);
-
-    const requestBody = {
-      prompt: prompt,
-      image_urls: refImageUrls,
-      num_images: numImages,
-      image_size: { width, height },
-      enable_safety_checker: !enableNSFW
-    };
-
-    // Calculate payload size
-    const payloadSizeKB = Math.round(JSON.stringify(requestBody).length / 1024);
-    console.log(`[FAL] Uploading ${payloadSizeKB}KB payload...`);
-
-    // Use upload limiter if available
-    const fetchFn = uploadLimiter
-      ? () => uploadLimiter.wrapFetch(
-          'https://fal.run/fal-ai/bytedance/seedream/v4/edit',
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Key ${this.apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody),
-            agent: httpsAgent,
-            signal: AbortSignal.timeout(300000)
-          }
-        )
-      : () => fetch(
-          'https://fal.run/fal-ai/bytedance/seedream/v4/edit',
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Key ${this.apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody),
-            agent: httpsAgent,
-            signal: AbortSignal.timeout(300000)
-          }
-        );
-
-    const response = await fetchFn();
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`FAL API error ${response.status}: ${errorText.substring(0, 200)}`);
-    }
-
-    const result = await response.json();
-    const images = result.images || [];
-
-    if (images.length === 0) {
-      throw new Error('FAL returned no images');
-    }
-
-    console.log(`[FAL] ✅ Generated ${images.length} images`);
-    return images;
-  }
-
-  async generateVideo(config) {
-    const { imageUrl, prompt, duration, cfgScale } = config;
-
-    console.log(`[FAL Video] Generating video...`);
-
-    const response = await fetch(
-      'https://fal.run/fal-ai/kling-video/v2.5-turbo/pro/image-to-video',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Key ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          image_url: imageUrl,
-          prompt: prompt,
-          duration: duration.toString(),
-          cfg_scale: cfgScale || 0.5,
-          negative_prompt: "blur, distort, low quality"
-        }),
-        agent: httpsAgent
-      }
-    );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`FAL Video API error ${response.status}: ${errorText.substring(0, 200)}`);
-    }
-
-    const result = await response.json();
-    const videoUrl = result.video?.url;
-
-    if (!videoUrl) {
-      throw new Error('FAL returned no video URL');
-    }
-
-    console.log(`[FAL Video] ✅ Generated video`);
-    return { url: videoUrl };
-  }
-}
-
 // ============================================================================
 // GEMINI IMAGE ANALYSIS
 // ============================================================================
 
-async function analyzeImageWithGemini(imageUrl, promptTemplate, geminiApiKey) {
+// image: { buffer, mimeType } from loadAttachment
+async function analyzeImageWithGemini(image, promptTemplate, geminiApiKey) {
   console.log('  🔍 Analyzing image with Gemini...');
 
-  // Download image
-  const imgResp = await fetch(imageUrl, { agent: imageUrl.startsWith('https') ? httpsAgent : httpAgent });
-  if (!imgResp.ok) {
-    throw new Error(`Failed to download image: ${imgResp.status}`);
-  }
-
-  const imgBuffer = await imgResp.arrayBuffer();
-  const imgBytes = new Uint8Array(imgBuffer);
+  const imgBytes = new Uint8Array(image.buffer);
   const base64Image = arrayToBase64(imgBytes);
-  const mimeType = imgResp.headers.get('content-type') || 'image/jpeg';
+  const mimeType = image.mimeType || 'image/jpeg';
 
   // Call Gemini API
   const geminiResp = await fetch(
@@ -649,63 +749,131 @@ async function analyzeImageWithGemini(imageUrl, promptTemplate, geminiApiKey) {
   console.log(`  ✅ Gemini response: "${generatedText.substring(0, 100)}..."`);
 
   return {
-    text: generatedText,
-    imageBuffer: imgBuffer,
-    mimeType: mimeType
+    text: generatedText
   };
 }
 
 // ============================================================================
-// AIRTABLE HELPERS
+// DATA SOURCE HELPERS
 // ============================================================================
 
-async function updateAirtableRecord(recordId, fields) {
-  const response = await fetch(
-    `https://api.airtable.com/v0/${CONFIG.airtable.baseId}/Generation/${recordId}`,
-    {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${CONFIG.airtable.token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ fields }),
-      agent: httpsAgent,
-      signal: AbortSignal.timeout(300000)
-    }
-  );
+async function updateRecord(recordId, fields) {
+  return await dataSource.update(recordId, fields);
+}
+
+// Fails the run before any work is done if mapped fields are missing or mistyped
+async function checkDataSource(requestField, recordProviderField) {
+  console.log(`🔎 Checking ${dataSource.getName()} schema...`);
+
+  const { errors, warnings, skipped } = await dataSource.checkSchema({ requestField, recordProviderField });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Airtable update failed: ${response.status} - ${errorText.substring(0, 100)}`);
+  if (skipped) {
+    console.log(`⚠️ Schema check skipped: ${skipped}`);
+    return;
+  }
+
+  warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+
+  if (errors.length > 0) {
+    console.error(`❌ ${dataSource.getName()} does not match config.json:`);
+    errors.forEach(err => console.error('   - ' + err));
+    throw new Error(`${dataSource.getName()} schema mismatch: ${errors.join('; ')}`);
   }
 
-  return await response.json();
+  console.log(`✅ ${dataSource.getName()} schema OK\n`);
+}
+
+// Attachment bytes: http(s) from Airtable/FAL, file:// from the file data source
+async function fetchAttachment(url) {
+  if (url.startsWith('file:')) {
+    return readLocalAttachment(url);
+  }
+
+  const resp = await fetch(url, { agent: url.startsWith('https') ? httpsAgent : httpAgent });
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}`);
+  }
+
+  return {
+    buffer: await resp.arrayBuffer(),
+    mimeType: resp.headers.get('content-type')
+  };
+}
+
+// attachment: { id?, url } - served from the image cache when possible
+async function loadAttachment(attachment) {
+  return await imageCache.get(attachment, fetchAttachment);
+}
+
+// Attachment as sent to Gemini / the provider (config.json imageProcessing)
+async function loadImage(attachment, label) {
+  const image = await loadAttachment(attachment);
+
+  if (!IMAGE_PROCESSING.enabled) {
+    return image;
+  }
+
+  const processed = await preprocessImage(image, IMAGE_PROCESSING);
+  const { original } = processed;
+  console.log(`  ${label}: ${original.width}x${original.height} ${formatMB(original.bytes)} -> ` +
+    `${processed.width}x${processed.height} ${processed.mimeType.split('/')[1]} ${formatMB(processed.buffer.length)}`);
+
+  return processed;
 }
 
 // ============================================================================
-// DOWNLOAD IMAGES TO LOCAL FOLDER
+// REFERENCE IMAGES
 // ============================================================================
 
-async function downloadImage(url, filepath) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    
-    protocol.get(url, (res) => {
-      if (res.statusCode !== 200) {
-        reject(new Error(`Download failed: ${res.statusCode}`));
-        return;
-      }
+// Up to 2 face + 2 body images ({ buffer, mimeType, hash }); turned into
+// provider URLs per record by referenceUploader
+async function prepareReferenceImages(faceReference, bodyReference, label) {
+  const faceImages = faceReference.slice(0, 2);
+  const bodyImages = bodyReference.slice(0, 2);
 
-      const fileStream = createWriteStream(filepath);
-      res.pipe(fileStream);
+  console.log(`↓ Preparing reference images for ${label} (Face: ${faceImages.length}, Body: ${bodyImages.length})...`);
 
-      fileStream.on('finish', () => {
-        fileStream.close();
-        resolve();
-      });
+  const baseReferenceImages = [...faceImages, ...bodyImages];
+  const refImages = [];
 
-      fileStream.on('error', reject);
-    }).on('error', reject);
+  for (let i = 0; i < baseReferenceImages.length; i++) {
+    const attachment = baseReferenceImages[i];
+    const imageType = i < faceImages.length ? 'Face' : 'Body';
+
+    let image;
+    try {
+      image = await loadImage(attachment, `${imageType} image ${i + 1}`);
+    } catch (error) {
+      throw new Error(`Failed to load ${imageType} reference image ${i + 1} (${label}): ${error.message}`);
+    }
+
+    refImages.push(image);
+  }
+
+  console.log(`✅ Prepared ${refImages.length} reference images for ${label}\n`);
+  return refImages;
+}
+
+// ============================================================================
+// DOWNLOAD IMAGES TO LOCAL FOLDER
+// ============================================================================
+// Redirects, timeouts, retries and integrity checks: see lib/file-download.js
+
+async function downloadMedia(url, basePath, accept, label) {
+  // The run folder is created with its first file - runs without output
+  // leave no empty folder behind
+  const dir = dirname(basePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+    console.log(`✅ Created downloads directory: ${dir}`);
+  }
+
+  return await downloadFile(url, basePath, {
+    accept,
+    agents: { http: httpAgent, https: httpsAgent },
+    onRetry: (error, attempt, delay) => {
+      console.log(`  ⚠️ Download of ${label} failed (${error.message}) - retry ${attempt} in ${delay}ms`);
+    }
   });
 }
 
@@ -718,62 +886,79 @@ async function main() {
   console.log('LADIES MANAGER - BATCH PROCESSOR (VPS)');
   console.log('='.repeat(60) + '\n');
 
-  // Load configuration from Airtable
-  console.log('📥 Loading configuration from Airtable...');
+  await checkDataSource(CONFIG.providers?.requestField, CONFIG.providers?.recordField);
 
-  const configResp = await fetch(
-    `https://api.airtable.com/v0/${CONFIG.airtable.baseId}/Configuration?maxRecords=1`,
-    {
-      headers: { 'Authorization': `Bearer ${CONFIG.airtable.token}` },
-      agent: httpsAgent,
-      signal: AbortSignal.timeout(300000)
-    }
-  );
+  // Load settings (Airtable Configuration record or settings file)
+  console.log(`📥 Loading configuration from ${dataSource.getName()}...`);
 
-  if (!configResp.ok) {
-    const errorData = await configResp.json();
-    throw new Error(`Airtable config error: ${configResp.status} - ${JSON.stringify(errorData)}`);
-  }
-
-  const configData = await configResp.json();
-  const airtableConfig = configData.records?.[0]?.fields;
-
-  if (!airtableConfig) {
-    throw new Error('No configuration record found in Airtable');
-  }
+  const settings = await dataSource.loadSettings();
+  const personas = new PersonaSet(await dataSource.loadPersonas());
 
   // Extract settings
-  const enableNSFW = airtableConfig.Enable_NSFW || false;
-  const imageSize = airtableConfig.Image_Size || '2048x2048';
+  const enableNSFW = settings.enableNSFW || false;
+  const imageSize = String(RUN_OPTIONS.imageSize || settings.imageSize || '2048x2048').trim();
+  if (!parseImageSize(imageSize)) {
+    throw new Error(`Invalid Image_Size "${imageSize}" in ${dataSource.getName()} (expected WIDTHxHEIGHT, e.g. 2048x2048)`);
+  }
 
-  let numImages = airtableConfig.num_images || 6;
+  let numImages = RUN_OPTIONS.numImages || settings.numImages || 6;
   if (typeof numImages !== 'number' || numImages < 1 || numImages > 6) {
     console.warn(`⚠️ Invalid num_images value: ${numImages}, using default: 6`);
     numImages = 6;
   }
 
-  const enableVideo = airtableConfig.Enable_Video || false;
-  let videoDuration = airtableConfig.Video_Duration || 5;
+  const enableVideo = RUN_OPTIONS.enableVideo ?? (settings.enableVideo || false);
+  let videoDuration = RUN_OPTIONS.videoDuration || settings.videoDuration || 5;
   if (![5, 10].includes(videoDuration)) {
     console.warn(`⚠️ Invalid Video_Duration: ${videoDuration}, using default: 5`);
     videoDuration = 5;
   }
 
-  const geminiApiKey = airtableConfig.Gemini_API_Key;
-  const geminiPromptTemplate = airtableConfig.Gemini_Prompt_Template || 'Describe this image in detail for AI art generation';
+  const geminiApiKey = settings.geminiApiKey;
+  const geminiPromptTemplate = settings.geminiPromptTemplate || 'Describe this image in detail for AI art generation';
+
+  // Provider: run option > Configuration "Provider" > config.json default
+  const providerId = RUN_OPTIONS.provider || settings.provider || CONFIG.providers?.default || DEFAULT_PROVIDER;
+  const recordProviderField = RUN_OPTIONS.provider ? null : CONFIG.providers?.recordField || null;
+
+  // Long text field holding the in-flight provider request (crash resume)
+  const requestField = CONFIG.providers?.requestField || null;
 
-  console.log(`  Provider: FAL.ai Seedream`);
+  console.log(`  Provider: ${providerId}${recordProviderField ? ` (per record via "${recordProviderField}")` : ''}`);
   console.log(`  Images per prompt: ${numImages}`);
   console.log(`  NSFW: ${enableNSFW ? 'enabled' : 'disabled'}`);
   console.log(`  Size: ${imageSize}`);
   console.log(`  Video: ${enableVideo ? 'enabled' : 'disabled'}${enableVideo ? ` (${videoDuration}s)` : ''}`);
   console.log(`  Gemini: ${geminiApiKey ? 'enabled' : 'disabled'}`);
-
-  const apiKey = airtableConfig.FAL_API_KEY;
-  if (!apiKey) {
-    throw new Error('FAL_API_KEY not found in Airtable Configuration');
+  console.log(`  Personas: ${personas.size > 0 ? personas.list().map(p => p.name).join(', ') : 'none'}`);
+  personas.warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+  if (RUN_OPTIONS.maxPrompts) {
+    console.log(`  Max prompts: ${RUN_OPTIONS.maxPrompts}`);
+  }
+  if (RUN_OPTIONS.recordIds?.length || RUN_OPTIONS.filterFormula) {
+    console.log(`  Record filter: ${RUN_OPTIONS.recordIds?.length ? `${RUN_OPTIONS.recordIds.length} record ids` : ''}${RUN_OPTIONS.filterFormula ? ` ${RUN_OPTIONS.filterFormula}` : ''}`);
+  }
+  if (RUN_OPTIONS.dryRun) {
+    console.log(`  🧪 DRY RUN: no FAL calls, no writes to ${dataSource.getName()}`);
   }
 
+  emitEvent('run_started', {
+    config: {
+      provider: providerId,
+      numImages,
+      enableNSFW,
+      imageSize,
+      enableVideo,
+      videoDuration,
+      gemini: !!geminiApiKey,
+      personas: personas.size,
+      maxPrompts: RUN_OPTIONS.maxPrompts || null,
+      recordIds: RUN_OPTIONS.recordIds || null,
+      filterFormula: RUN_OPTIONS.filterFormula || null,
+      dryRun: !!RUN_OPTIONS.dryRun
+    }
+  });
+
   // Initialize limiters
   if (geminiApiKey) {
     geminiLimiter = new RateLimiter(10); // Free tier
@@ -790,133 +975,305 @@ async function main() {
   circuitBreaker = new SimpleCircuitBreaker(5, 60000);
   console.log('  ✅ Circuit breaker: 5 failure threshold\n');
 
-  // Initialize API
-  const api = new FalSeedreamAPI(apiKey);
+  // Initialize providers (created on first use, capabilities checked once)
+  const capabilityRequest = { numImages, size: imageSize, enableNSFW, enableVideo, videoDuration };
+  const providers = new Map();
+
+  const getProvider = (id) => {
+    if (!providers.has(id)) {
+      const provider = createProvider(id, {
+        apiKey: settings.falApiKey,
+        agent: httpsAgent,
+        uploadLimiter
+      });
+
+      const problems = checkCapabilities(provider.capabilities, capabilityRequest);
+      if (problems.length > 0) {
+        throw permanentError(`Provider ${id} ${problems.join(', ')}`);
+      }
+
+      providers.set(id, provider);
+    }
+    return providers.get(id);
+  };
+
+  const resolveProvider = (promptRecord) => {
+    const recordValue = recordProviderField && promptRecord.fields[recordProviderField];
+    const id = recordValue ? String(recordValue).trim().toLowerCase() : providerId;
+
+    if (!hasProvider(id)) {
+      throw permanentError(`Unknown provider "${id}" in ${recordProviderField}`);
+    }
+    return getProvider(id);
+  };
+
+  const api = getProvider(providerId);
   console.log(`✅ Using ${api.getName()}\n`);
 
-  // Load reference images
-  const faceReference = airtableConfig.Face_Reference || [];
-  const bodyReference = airtableConfig.Body_Reference || [];
+  // Reference images: Configuration set + one set per persona
+  const faceReference = settings.faceReference || [];
+  const bodyReference = settings.bodyReference || [];
 
-  if (faceReference.length === 0 && bodyReference.length === 0) {
-    throw new Error('No Face_Reference or Body_Reference found in Airtable configuration');
+  if (faceReference.length === 0 && bodyReference.length === 0 && personas.size === 0) {
+    throw new Error(`No face or body reference images found in ${dataSource.getName()}`);
   }
 
-  const faceImages = faceReference.slice(0, 2);
-  const bodyImages = bodyReference.slice(0, 2);
+  // Prepared images per persona ('' = Configuration), built on first use
+  const referenceCache = new Map();
 
-  console.log(`  Face reference: ${faceImages.length} images`);
-  console.log(`  Body reference: ${bodyImages.length} images`);
+  const getReferences = (persona) => {
+    const own = persona && (persona.faceReference.length > 0 || persona.bodyReference.length > 0);
+    const key = own ? persona.id : '';
 
-  const baseReferenceImages = [...faceImages, ...bodyImages];
+    if (!referenceCache.has(key)) {
+      referenceCache.set(key, own
+        ? prepareReferenceImages(persona.faceReference, persona.bodyReference, `persona ${persona.name}`)
+        : prepareReferenceImages(faceReference, bodyReference, 'Configuration'));
+    }
+    return referenceCache.get(key);
+  };
 
-  // Prepare base reference images
-  console.log('↓ Preparing base reference images (Face + Body)...');
+  if (faceReference.length > 0 || bodyReference.length > 0) {
+    await getReferences(null);
+  }
 
-  const baseRefImageUrls = [];
+  // Per record: run options > record overrides > persona > Configuration
+  const recordSettings = (promptRecord) => {
+    let persona = null;
+    try {
+      persona = personas.size > 0 ? personas.resolve(promptRecord.fields[FIELDS.persona]) : null;
+    } catch (error) {
+      // Unknown / unlinked persona: fixed in the data source, not by a retry
+      throw permanentError(error.message);
+    }
+    const { overrides, errors } = readOverrides(promptRecord.fields, dataSource.overrideFields);
 
-  for (let i = 0; i < baseReferenceImages.length; i++) {
-    const attachment = baseReferenceImages[i];
-    const imageUrl = attachment.url;
-    const imageType = i < faceImages.length ? 'Face' : 'Body';
+    if (errors.length > 0) {
+      throw permanentError(`Invalid record settings: ${errors.join('; ')}`);
+    }
 
-    console.log(`  Converting ${imageType} image ${i + 1} to data URI...`);
-    const imgResp = await fetch(imageUrl, { agent: httpsAgent });
-    if (!imgResp.ok) {
-      throw new Error(`Failed to download ${imageType} reference image ${i + 1}`);
+    let recordSize = RUN_OPTIONS.imageSize || overrides.imageSize || persona?.imageSize || imageSize;
+    if (overrides.aspectRatio && !RUN_OPTIONS.imageSize) {
+      recordSize = applyAspectRatio(recordSize, overrides.aspectRatio);
     }
 
-    const imgBuffer = await imgResp.arrayBuffer();
-    const imgBytes = new Uint8Array(imgBuffer);
-    const base64 = arrayToBase64(imgBytes);
-    const mimeType = imgResp.headers.get('content-type') || 'image/png';
-    const dataUri = `data:${mimeType};base64,${base64}`;
+    return {
+      persona,
+      overrides,
+      numImages: RUN_OPTIONS.numImages || overrides.numImages || persona?.numImages || numImages,
+      imageSize: recordSize,
+      enableNSFW: overrides.enableNSFW ?? enableNSFW,
+      enableVideo: RUN_OPTIONS.enableVideo ?? overrides.enableVideo ?? enableVideo,
+      videoDuration: RUN_OPTIONS.videoDuration || overrides.videoDuration || videoDuration,
+      videoCfgScale: overrides.videoCfgScale ?? null,
+      negativePrompt: overrides.negativePrompt || null,
+      styleSuffix: persona?.styleSuffix || null
+    };
+  };
+
+  // Stages the queue tracks for a record (video can be switched on per record)
+  const workFor = (promptRecord) => {
+    try {
+      return recordSettings(promptRecord).enableVideo ? ['images', 'video'] : ['images'];
+    } catch (error) {
+      return work;
+    }
+  };
+
+  const resolveRecord = async (promptRecord, api) => {
+    const resolved = recordSettings(promptRecord);
+    const refImages = await getReferences(resolved.persona);
+
+    if (refImages.length === 0) {
+      throw permanentError(`No reference images for ${resolved.persona ? `persona ${resolved.persona.name}` : 'records without persona'}`);
+    }
+
+    const refImageUrls = await Promise.all(refImages.map(image => referenceUploader.urlFor(api, image)));
+    return { ...resolved, refImageUrls };
+  };
+
+  // Downloads of this run: downloads/<runId>/
+  const downloadsDir = runDownloadDir(join(__dirname, 'downloads'), OUTPUT_RUN_ID);
+  if (!RUN_OPTIONS.dryRun) {
+    await guardDiskSpace(downloadsDir, { preflight: true });
+  }
+
+  // Job queue: filled from the data source, drained in batches below
+  const jobQueue = new JobQueue(join(DATA_DIR, dataSource.queueFile), CONFIG.queue);
+
+  if (!RUN_OPTIONS.dryRun) {
+    const recovered = jobQueue.recoverStale();
+    if (recovered > 0) {
+      console.log(`♻️  Recovered ${recovered} jobs left running by a previous processor`);
+    }
+  }
+
+  const work = enableVideo ? ['images', 'video'] : ['images'];
+  const fields = [
+    FIELDS.prompt, FIELDS.videoPrompt, FIELDS.generatedImages, FIELDS.promptImage,
+    recordProviderField, requestField, personas.size > 0 && FIELDS.persona,
+    ...Object.values(dataSource.overrideFields)
+  ].filter(Boolean);
+
+  console.log(`\n=== Filling job queue from ${dataSource.getName()} ===\n`);
+  const eligible = [];
+  let fetched = 0;
+
+  for await (const page of dataSource.pendingPages({
+    enableVideo,
+    recordIds: RUN_OPTIONS.recordIds,
+    filterFormula: RUN_OPTIONS.filterFormula,
+    fields
+  })) {
+    fetched += page.length;
+
+    for (const promptRecord of page) {
+      const recordWork = workFor(promptRecord);
+      if (jobQueue.wouldRun(promptRecord.id, recordWork)) {
+        eligible.push(promptRecord);
+      }
+      if (!RUN_OPTIONS.dryRun) {
+        jobQueue.enqueue(promptRecord.id, recordWork);
+      }
+    }
+
+    if (RUN_OPTIONS.maxPrompts && eligible.length >= RUN_OPTIONS.maxPrompts) {
+      break;
+    }
+  }
 
-    baseRefImageUrls.push(dataUri);
+  if (!RUN_OPTIONS.dryRun) {
+    jobQueue.save();
   }
 
-  console.log(`✅ Prepared ${baseRefImageUrls.length} base reference images\n`);
+  const selected = RUN_OPTIONS.maxPrompts ? eligible.slice(0, RUN_OPTIONS.maxPrompts) : eligible;
+  const queueStats = jobQueue.stats();
 
-  // Create downloads directory
-  const downloadsDir = join(__dirname, 'downloads');
-  if (!existsSync(downloadsDir)) {
-    mkdirSync(downloadsDir, { recursive: true });
-    console.log(`✅ Created downloads directory: ${downloadsDir}\n`);
+  console.log(`📥 ${fetched} pending in ${dataSource.getName()}, ${selected.length} eligible now` +
+    ` (${queueStats.waiting} waiting for retry, ${queueStats.dead} dead-lettered)`);
+
+  // Records of one persona run back to back (references prepared once)
+  const groups = personas.group(selected, FIELDS.persona);
+  const jobs = groups.flatMap(group => group.records);
+
+  if (personas.size > 0 && jobs.length > 0) {
+    console.log(`  By persona: ${groups.map(g => `${g.persona?.name || 'none'} (${g.records.length})`).join(', ')}`);
   }
+  emitEvent('queue_filled', { fetched, eligible: jobs.length, stats: queueStats });
 
   // Main processing loop
   let totalProcessed = 0;
   let totalSuccess = 0;
   let totalFailed = 0;
+  let totalSaveFailures = 0;
 
-  const batchSize = 100;
-
-  while (true) {
-    console.log(`\n=== Fetching next batch (max ${batchSize}) ===\n`);
+  const batchSize = CONFIG.airtable?.batchSize || 100;
+  let batchNumber = 0;
 
-    const filter = enableVideo
-      ? `OR({Generated Images}=BLANK(), AND(NOT({Generated Images}=BLANK()), {Generated_Videos}=BLANK()))`
-      : `{Generated Images}=BLANK()`;
+  const untouchedPromptIds = [];
+  let reachedJobs = 0;
 
-    const promptResp = await fetch(
-      `https://api.airtable.com/v0/${CONFIG.airtable.baseId}/Generation?` +
-      `filterByFormula=${encodeURIComponent(filter)}&` +
-      `fields[]=Prompt&fields[]=Video_Prompt&fields[]=Generated Images&fields[]=Prompt_Image&maxRecords=${batchSize}`,
-      {
-        headers: { 'Authorization': `Bearer ${CONFIG.airtable.token}` },
-        agent: httpsAgent,
-        signal: AbortSignal.timeout(300000)
-      }
-    );
-
-    if (!promptResp.ok) {
-      throw new Error(`Failed to fetch prompts: ${promptResp.status}`);
-    }
+  // Shared by every record (image/video settings come from recordSettings)
+  const genConfig = {
+    geminiApiKey,
+    geminiPromptTemplate,
+    downloadsDir,
+    requestField
+  };
 
-    const promptData = await promptResp.json();
-    const prompts = promptData.records || [];
+  // Progress covers the whole run, not a single batch
+  progressTracker.setTotal(jobs.length);
 
-    if (prompts.length === 0) {
-      console.log('✅ No more prompts to process');
+  for (let start = 0; start < jobs.length; start += batchSize) {
+    if (!(await runControl.checkpoint())) {
+      console.log('⏹️  Run cancelled, not starting further batches');
       break;
     }
 
-    console.log(`📋 Processing ${prompts.length} prompts...\n`);
-    progressTracker.setTotal(prompts.length);
+    const prompts = jobs.slice(start, start + batchSize);
+    reachedJobs = start + prompts.length;
 
-    const genConfig = {
-      numImages,
-      imageSize,
-      enableNSFW,
-      enableVideo,
-      videoDuration,
-      geminiApiKey,
-      geminiPromptTemplate,
-      downloadsDir
-    };
+    batchNumber++;
+    console.log(`\n📋 Batch ${batchNumber}: processing ${prompts.length} prompts...\n`);
+    emitEvent('batch_fetched', { batch: batchNumber, count: prompts.length });
 
-    const results = await Promise.all(
-      prompts.map(promptRecord => concurrencyLimiter.run(async () => {
-        return await processPrompt(promptRecord, baseRefImageUrls, api, genConfig);
-      }))
-    );
+    const results = RUN_OPTIONS.dryRun
+      ? prompts.map(promptRecord => dryRunPrompt(promptRecord, genConfig, recordSettings))
+      : await Promise.all(
+          prompts.map(promptRecord => concurrencyLimiter.run(async () => {
+            await guardDiskSpace(downloadsDir);
+            if (!(await runControl.checkpoint())) {
+              return skipPrompt(promptRecord, 'cancelled');
+            }
+            jobQueue.claim(promptRecord.id, RUN_ID);
+            const result = await processPrompt(promptRecord, resolveRecord, resolveProvider, genConfig);
+            settleJob(jobQueue, result, workFor(promptRecord));
+            return result;
+          }))
+        );
 
+    const skipped = results.filter(r => r.untouched);
     const batchSuccess = results.filter(r => r.success).length;
-    const batchFailed = results.filter(r => !r.success).length;
+    const batchFailed = results.filter(r => !r.success && !r.untouched).length;
 
-    totalProcessed += prompts.length;
+    untouchedPromptIds.push(...skipped.map(r => r.promptId));
+    totalProcessed += prompts.length - skipped.length;
     totalSuccess += batchSuccess;
     totalFailed += batchFailed;
+    totalSaveFailures += results.reduce((sum, r) => sum + (r.saveErrors?.length || 0), 0);
 
-    console.log(`\n✅ Batch complete: ${batchSuccess} succeeded, ${batchFailed} failed`);
+    console.log(`\n✅ Batch complete: ${batchSuccess} succeeded, ${batchFailed} failed` +
+      `${skipped.length > 0 ? `, ${skipped.length} untouched` : ''}`);
 
-    if (prompts.length < batchSize) {
+    if (runControl.cancelled) {
       break;
     }
   }
 
+  // Batches never started after a cancel stay queued as well
+  untouchedPromptIds.push(...jobs.slice(reachedJobs).map(promptRecord => promptRecord.id));
+
+  if (jobs.length === 0) {
+    console.log('✅ No prompts eligible for processing');
+  }
+
+  await dataSource.flush();
   progressTracker.showFinalSummary();
 
+  const writeStats = dataSource.getStats();
+  console.log(`   ${dataSource.getName()}: ${writeStats.totalUpdates} updates in ${writeStats.totalRequests} requests`);
+
+  const uploadStats = referenceUploader.getStats();
+  if (uploadStats.uploaded + uploadStats.reused > 0 || uploadStats.failed > 0) {
+    console.log(`   Reference uploads: ${uploadStats.uploaded} uploaded (${formatMB(uploadStats.bytesUploaded)}), ` +
+      `${uploadStats.reused} reused, ${uploadStats.inlined} sent inline`);
+  }
+
+  imageCache.save();
+  const cacheStats = imageCache.getStats();
+  if (imageCache.enabled) {
+    console.log(`   Image cache: ${cacheStats.hits} hits, ${cacheStats.misses} downloads (${formatMB(cacheStats.bytesDownloaded)}), ` +
+      `${cacheStats.entries} images / ${formatMB(cacheStats.totalBytes)} on disk` +
+      `${cacheStats.evictions > 0 ? `, ${cacheStats.evictions} evicted` : ''}`);
+  }
+
+  await emitEvent('run_finished', {
+    success: true,
+    cancelled: runControl.cancelled,
+    totalProcessed,
+    totalSuccess,
+    totalFailed,
+    saveFailures: totalSaveFailures,
+    untouchedPromptIds,
+    imageCache: cacheStats,
+    referenceUploads: uploadStats
+  });
+
+  if (runControl.cancelled) {
+    console.log(`\n⏹️  Run cancelled: ${untouchedPromptIds.length} prompts left untouched`);
+    console.log('   Untouched records stay queued for the next run');
+  }
+
   if (totalProcessed === 0) {
     console.log('\n✅ All prompts already processed!');
   } else {
@@ -924,32 +1281,170 @@ async function main() {
     console.log(`   Total: ${totalProcessed} prompts`);
     console.log(`   Success: ${totalSuccess}`);
     console.log(`   Failed: ${totalFailed}`);
-    console.log(`   Downloads: ${downloadsDir}`);
+    if (totalSaveFailures > 0) {
+      console.log(`   ⚠️ Not saved to downloads/: ${totalSaveFailures} files (see the log, the records keep the provider URLs)`);
+    }
+    if (existsSync(downloadsDir)) {
+      console.log(`   Downloads: ${downloadsDir}`);
+    }
+  }
+}
+
+// Prompt was never started (run cancelled) - stays pending in the data source
+function skipPrompt(promptRecord, reason) {
+  emitEvent('prompt_skipped', { promptId: promptRecord.id, reason });
+  return { success: false, promptId: promptRecord.id, untouched: true };
+}
+
+// Records the outcome of processPrompt on the claimed job
+function settleJob(jobQueue, result, work) {
+  const { promptId } = result;
+
+  if (result.deferred) {
+    jobQueue.release(promptId);
+    return;
+  }
+
+  const job = result.success && !result.videoError
+    ? jobQueue.complete(promptId, work)
+    : jobQueue.fail(promptId, result.videoError || result.error, result.success ? ['images'] : [], { permanent: result.permanent });
+
+  if (job.state === 'dead') {
+    const reason = result.permanent ? 'a retry cannot fix this' : `after ${job.attempts} attempts`;
+    console.log(`💀 [${promptId}] Dead-lettered (${reason}): ${job.lastError}`);
+    emitEvent('job_dead', { promptId, attempts: job.attempts, error: job.lastError });
+  } else if (job.state === 'queued') {
+    console.log(`↩ [${promptId}] Queued for retry at ${new Date(job.nextEligibleAt).toLocaleString()} (attempt ${job.attempts})`);
+  }
+}
+
+// ============================================================================
+// PENDING PROVIDER REQUESTS
+// ============================================================================
+// Stored as JSON { kind, provider, requestId, statusUrl, responseUrl,
+// submittedAt } in providers.requestField, cleared once results are saved.
+
+function readPendingRequest(promptRecord, requestField) {
+  const value = requestField && promptRecord.fields[requestField];
+  if (!value) return null;
+
+  try {
+    const request = JSON.parse(value);
+    return request.requestId ? request : null;
+  } catch (error) {
+    console.log(`⚠️ [${promptRecord.id}] Ignoring unreadable ${requestField}: ${error.message}`);
+    return null;
+  }
+}
+
+// Losing the request id only costs the crash resume, so failures are not fatal
+async function storePendingRequest(promptId, requestField, request) {
+  if (!requestField) return;
+
+  try {
+    await updateRecord(promptId, { [requestField]: JSON.stringify(request) });
+  } catch (error) {
+    console.log(`⚠️ [${promptId}] Could not store request ${request.requestId}: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// DRY RUN (list what would be generated)
+// ============================================================================
+
+function dryRunPrompt(promptRecord, genConfig, recordSettings) {
+  const promptId = promptRecord.id;
+  const promptText = promptRecord.fields[FIELDS.prompt] || '';
+  const hasImages = promptRecord.fields[FIELDS.generatedImages]?.length > 0;
+  const hasPromptImage = promptRecord.fields[FIELDS.promptImage]?.length > 0;
+
+  let settings;
+  try {
+    settings = recordSettings(promptRecord);
+  } catch (error) {
+    console.log(`🧪 [${promptId}] ❌ ${error.message}`);
+    progressTracker.increment(false);
+    emitEvent('prompt_failed', { promptId, error: error.message, transient: false });
+    return { success: false, promptId, error: error.message };
   }
+
+  emitEvent('prompt_started', { promptId, prompt: promptText });
+
+  console.log(`🧪 [${promptId}] "${promptText.substring(0, 60)}..."` +
+    `${settings.persona ? ` (persona ${settings.persona.name})` : ''}`);
+  console.log(`   Images: ${hasImages ? 'already exist' : `${settings.numImages} x ${settings.imageSize}`}` +
+    `${hasPromptImage ? ' (+ Prompt_Image reference)' : ''}` +
+    `${settings.enableVideo ? ` | Video: ${settings.videoDuration}s` : ''}` +
+    `${Object.keys(settings.overrides).length > 0 ? ` | Record overrides: ${Object.keys(settings.overrides).join(', ')}` : ''}`);
+
+  progressTracker.increment(true);
+  emitEvent('prompt_finished', { promptId, imageCount: 0, dryRun: true });
+
+  return { success: true, promptId, imageCount: 0 };
 }
 
 // ============================================================================
 // PROCESS SINGLE PROMPT
 // ============================================================================
 
-async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
+async function processPrompt(promptRecord, resolveRecord, resolveProvider, genConfig) {
   const promptId = promptRecord.id;
-  let promptText = promptRecord.fields.Prompt;
-  let videoPromptText = promptRecord.fields.Video_Prompt || promptText;
-  const existingImages = promptRecord.fields['Generated Images'];
-  const promptImageAttachment = promptRecord.fields.Prompt_Image;
+  let promptText = promptRecord.fields[FIELDS.prompt];
+  let videoPromptText = promptRecord.fields[FIELDS.videoPrompt] || promptText;
+  const existingImages = promptRecord.fields[FIELDS.generatedImages];
+  const promptImageAttachment = promptRecord.fields[FIELDS.promptImage];
+
+  const { geminiApiKey, geminiPromptTemplate, downloadsDir, requestField } = genConfig;
 
-  const { numImages, imageSize, enableNSFW, enableVideo, videoDuration, geminiApiKey, geminiPromptTemplate, downloadsDir } = genConfig;
+  // Request left behind by a crashed run - resume polling instead of resubmitting
+  let pendingRequest = readPendingRequest(promptRecord, requestField);
+  const clearRequest = requestField ? { [requestField]: null } : {};
 
   if (circuitBreaker && !circuitBreaker.canProceed()) {
     console.log(`⏸️  [${promptId}] Circuit breaker open, skipping...`);
-    return { success: false, promptId, error: 'Circuit breaker open', skipErrorSave: true };
+    emitEvent('prompt_failed', { promptId, error: 'Circuit breaker open', transient: true });
+    return { success: false, promptId, error: 'Circuit breaker open', skipErrorSave: true, deferred: true };
   }
 
   try {
     console.log(`\n↓ [${promptId}] "${promptText?.substring(0, 60) || 'No prompt'}..."`);
+    emitEvent('prompt_started', { promptId, prompt: promptText || '' });
+
+    const api = resolveProvider(promptRecord);
+    const {
+      persona, overrides, refImageUrls: baseRefImageUrls, numImages, imageSize, enableNSFW,
+      enableVideo, videoDuration, videoCfgScale, negativePrompt, styleSuffix
+    } = await resolveRecord(promptRecord, api);
+
+    if (persona) {
+      console.log(`  [${promptId}] Persona: ${persona.name}`);
+    }
+    if (Object.keys(overrides).length > 0) {
+      console.log(`  [${promptId}] Record overrides: ${Object.entries(overrides).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+    }
+
+    // Persona and record settings are only known per record
+    const problems = checkCapabilities(api.capabilities, { numImages, size: imageSize, enableNSFW, enableVideo, videoDuration });
+    if (problems.length > 0) {
+      throw permanentError(`${api.getName()} ${problems.join(', ')}`);
+    }
+
+    if (pendingRequest && pendingRequest.provider !== api.id) {
+      pendingRequest = null;
+    }
+
+    const trackRequest = (kind) => async (request) => {
+      pendingRequest = { kind, provider: api.id, ...request };
+      await storePendingRequest(promptId, requestField, pendingRequest);
+    };
+
+    const resumeRequest = (kind) => pendingRequest?.kind === kind ? pendingRequest : null;
 
     let images;
+    let videoError = null;
+
+    // Files generated but not saved to downloads/ (the record still has the URLs)
+    const saveErrors = [];
 
     if (existingImages && existingImages.length > 0) {
       console.log(`⭕ [${promptId}] Images already exist, skipping generation`);
@@ -957,54 +1452,50 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
     } else {
       let finalRefImageUrls = [...baseRefImageUrls];
 
-      let cachedImageBuffer = null;
-      let cachedImageMimeType = null;
-
       if (promptImageAttachment && promptImageAttachment.length > 0) {
-        const promptImageUrl = promptImageAttachment[0].url;
         console.log(`↓ [${promptId}] Prompt_Image detected`);
 
+        // Downloaded once, shared by Gemini and the reference list
+        let promptImage = null;
+        try {
+          promptImage = await loadImage(promptImageAttachment[0], `[${promptId}] Prompt_Image`);
+        } catch (error) {
+          if (geminiApiKey) {
+            throw new Error(`Failed to load Prompt_Image: ${error.message}`);
+          }
+          console.log(`⚠️ [${promptId}] Prompt_Image not available (${error.message}), using base references`);
+        }
+
         if (geminiApiKey) {
           console.log(`↓ [${promptId}] Analyzing with Gemini...`);
 
           await geminiLimiter.acquire();
 
           const geminiResult = await analyzeImageWithGemini(
-            promptImageUrl,
+            promptImage,
             geminiPromptTemplate,
             geminiApiKey
           );
 
-          await updateAirtableRecord(promptId, {
-            'Prompt': geminiResult.text
+          await updateRecord(promptId, {
+            [FIELDS.prompt]: geminiResult.text
           });
 
           promptText = geminiResult.text;
-          if (!promptRecord.fields.Video_Prompt) {
+          if (!promptRecord.fields[FIELDS.videoPrompt]) {
             videoPromptText = geminiResult.text;
           }
           console.log(`✅ [${promptId}] Prompt updated from Gemini`);
-
-          cachedImageBuffer = geminiResult.imageBuffer;
-          cachedImageMimeType = geminiResult.mimeType;
+          emitEvent('gemini_done', { promptId, prompt: promptText });
         }
 
-        console.log(`↓ [${promptId}] Adding Prompt_Image as 5th reference...`);
-        if (cachedImageBuffer) {
-          const imgBytes = new Uint8Array(cachedImageBuffer);
-          const base64 = arrayToBase64(imgBytes);
-          const dataUri = `data:${cachedImageMimeType};base64,${base64}`;
-          finalRefImageUrls.push(dataUri);
-        } else {
-          const imgResp = await fetch(promptImageUrl, { agent: httpsAgent });
-          if (imgResp.ok) {
-            const imgBuffer = await imgResp.arrayBuffer();
-            const imgBytes = new Uint8Array(imgBuffer);
-            const base64 = arrayToBase64(imgBytes);
-            const mimeType = imgResp.headers.get('content-type') || 'image/png';
-            const dataUri = `data:${mimeType};base64,${base64}`;
-            finalRefImageUrls.push(dataUri);
-          }
+        if (promptImage) {
+          console.log(`↓ [${promptId}] Adding Prompt_Image as 5th reference...`);
+          finalRefImageUrls.push(await referenceUploader.urlFor(api, promptImage));
+        }
+        if (finalRefImageUrls.length > api.capabilities.maxReferenceImages) {
+          console.log(`⚠️ [${promptId}] ${api.getName()} accepts ${api.capabilities.maxReferenceImages} references, dropping the rest`);
+          finalRefImageUrls = finalRefImageUrls.slice(0, api.capabilities.maxReferenceImages);
         }
         console.log(`✅ [${promptId}] Total reference images: ${finalRefImageUrls.length}`);
       } else {
@@ -1022,11 +1513,14 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
           }
 
           images = await api.generate({
-            prompt: promptText,
+            prompt: withStyleSuffix(promptText, styleSuffix),
             refImageUrls: finalRefImageUrls,
             numImages: numImages,
             enableNSFW: enableNSFW,
             size: imageSize
+          }, {
+            resume: resumeRequest('images'),
+            onSubmitted: trackRequest('images')
           });
 
           break;
@@ -1058,29 +1552,62 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
         throw lastError || new Error('Failed to generate images after 3 attempts');
       }
 
-      // Download images locally
+      // Download images locally (format detection, conversion, thumbnail, metadata)
       console.log(`↓ [${promptId}] Downloading ${images.length} images...`);
+      const savedFiles = [];
       for (let i = 0; i < images.length; i++) {
         const imageUrl = images[i].url;
-        const extension = 'png';
-        const filename = `${promptId}_${i + 1}.${extension}`;
-        const filepath = join(downloadsDir, filename);
+        const baseName = `${promptId}_${i + 1}`;
+        let downloadPath = null;
 
         try {
-          await downloadImage(imageUrl, filepath);
-          console.log(`  ✅ Downloaded: ${filename}`);
+          ({ filepath: downloadPath } = await downloadMedia(imageUrl, join(downloadsDir, `${baseName}.download`), 'image', baseName));
+
+          const saved = await saveGeneratedImage(downloadsDir, baseName, readFileSync(downloadPath), {
+            promptId,
+            index: i + 1,
+            prompt: withStyleSuffix(promptText, styleSuffix),
+            seed: images[i].seed ?? null,
+            provider: api.id,
+            model: api.models?.image || null,
+            size: imageSize,
+            persona: persona?.name || null,
+            runId: OUTPUT_RUN_ID,
+            sourceUrl: imageUrl.startsWith('data:') ? null : imageUrl
+          }, POST_PROCESSING);
+
+          savedFiles.push(saved);
+          const converted = saved.format !== saved.originalFormat ? ` (${saved.originalFormat} -> ${saved.format})` : '';
+          console.log(`  ✅ Downloaded: ${saved.filename}${converted}`);
         } catch (err) {
-          console.log(`  ⚠️ Failed to download ${filename}: ${err.message}`);
+          console.error(`  ❌ [${promptId}] Could not save ${baseName}: ${err.message}`);
+          saveErrors.push({ file: baseName, error: err.message });
+        } finally {
+          if (downloadPath) {
+            rmSync(downloadPath, { force: true });
+          }
         }
       }
 
-      // Save to Airtable
-      await updateAirtableRecord(promptId, {
-        'Generated Images': images.map(img => ({ url: img.url })),
-        'Error Message': null
+      if (savedFiles.length === 0) {
+        throw saveFailedError(`none of the ${images.length} images could be saved to downloads/ (${saveErrors[0].error})`);
+      }
+
+      // Save to the data source
+      await updateRecord(promptId, {
+        [FIELDS.generatedImages]: images.map(img => ({ url: img.url })),
+        [FIELDS.errorMessage]: null,
+        ...clearRequest
       });
+      pendingRequest = null;
 
       console.log(`✅ [${promptId}] Saved ${images.length} images`);
+      emitEvent('images_generated', {
+        promptId,
+        count: images.length,
+        files: savedFiles.map(({ filename, thumbnail, sha256 }) => ({ filename, thumbnail, sha256 })),
+        saveErrors
+      });
     }
 
     // Generate videos
@@ -1101,7 +1628,11 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
               imageUrl: images[0].url,
               prompt: videoPromptText,
               duration: videoDuration,
-              cfgScale: 0.5
+              cfgScale: videoCfgScale ?? 0.5,
+              negativePrompt
+            }, {
+              resume: resumeRequest('video'),
+              onSubmitted: trackRequest('video')
             });
 
             break;
@@ -1125,34 +1656,60 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
           throw lastVideoError || new Error('Failed to generate video after 2 attempts');
         }
 
-        // Download video locally
-        const videoFilename = `${promptId}_video.mp4`;
-        const videoFilepath = join(downloadsDir, videoFilename);
+        // Download video locally (extension from the content type)
         try {
-          await downloadImage(video.url, videoFilepath);
+          const { filepath: videoFilepath } = await downloadMedia(video.url, join(downloadsDir, `${promptId}_video`), 'video', `${promptId}_video`);
+          const videoFilename = basename(videoFilepath);
+
+          if (POST_PROCESSING.sidecar) {
+            const videoBuffer = readFileSync(videoFilepath);
+            writeSidecar(downloadsDir, `${promptId}_video`, {
+              promptId,
+              kind: 'video',
+              prompt: videoPromptText,
+              duration: videoDuration,
+              cfgScale: videoCfgScale ?? 0.5,
+              negativePrompt,
+              provider: api.id,
+              model: api.models?.video || null,
+              persona: persona?.name || null,
+              runId: OUTPUT_RUN_ID,
+              sourceUrl: video.url.startsWith('data:') ? null : video.url
+            }, { filename: videoFilename, bytes: videoBuffer.length, sha256: sha256(videoBuffer) });
+          }
+
           console.log(`  ✅ Downloaded video: ${videoFilename}`);
         } catch (err) {
-          console.log(`  ⚠️ Failed to download video: ${err.message}`);
+          console.error(`  ❌ [${promptId}] Could not save ${promptId}_video: ${err.message}`);
+          throw saveFailedError(`could not save ${promptId}_video: ${err.message}`);
         }
 
-        await updateAirtableRecord(promptId, {
-          'Generated_Videos': [{ url: video.url }]
+        await updateRecord(promptId, {
+          [FIELDS.generatedVideos]: [{ url: video.url }],
+          ...clearRequest
         });
 
         console.log(`✅ [${promptId}] Saved 1 video`);
-
-      } catch (videoError) {
-        const errorMsg = `Video generation failed: ${videoError.message}`;
-        await updateAirtableRecord(promptId, {
-          'Error Message': errorMsg
+        emitEvent('video_done', { promptId, success: true });
+
+      } catch (error) {
+        videoError = `Video generation failed: ${error.message}`;
+        // A request that is merely slow (or whose video could not be saved)
+        // stays stored so the next run picks it up
+        const keepRequest = error.message.includes('still pending') || error.saveFailed;
+        await updateRecord(promptId, {
+          [FIELDS.errorMessage]: videoError,
+          ...(keepRequest ? {} : clearRequest)
         });
-        console.error(`❌ [${promptId}] ${errorMsg}`);
+        console.error(`❌ [${promptId}] ${videoError}`);
+        emitEvent('video_done', { promptId, success: false, error: videoError });
       }
     } else {
       console.log(`⭕ [${promptId}] Video generation disabled`);
     }
 
     progressTracker.increment(true);
+    emitEvent('prompt_finished', { promptId, imageCount: images.length, saveErrors });
 
     if (circuitBreaker) {
       circuitBreaker.recordSuccess();
@@ -1161,7 +1718,9 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
     return {
       success: true,
       promptId,
-      imageCount: images.length
+      imageCount: images.length,
+      videoError,
+      saveErrors
     };
 
   } catch (error) {
@@ -1173,30 +1732,34 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
                       error.message.includes('503') ||
                       error.message.includes('504');
 
-    const isTransient = is524 || isTimeout || isTooManySubrequests || is5xxError;
+    const isTransient = error.saveFailed || is524 || isTimeout || isTooManySubrequests || is5xxError;
 
     if (isTransient) {
-      console.log(`↩ [${promptId}] Transient error (${error.message}) - will retry in next batch`);
+      console.log(`↩ [${promptId}] Transient error (${error.message}) - will retry later`);
       progressTracker.increment(false);
+      emitEvent('prompt_failed', { promptId, error: error.message, transient: true });
       return { success: false, promptId, error: error.message, skipErrorSave: true };
     }
 
     console.error(`❌ [${promptId}] Error: ${error.message}`);
 
-    if (circuitBreaker) {
+    // Bad record settings say nothing about the provider
+    if (circuitBreaker && !error.permanent) {
       circuitBreaker.recordFailure();
     }
 
     try {
-      await updateAirtableRecord(promptId, {
-        'Error Message': error.message.substring(0, 200)
+      await updateRecord(promptId, {
+        [FIELDS.errorMessage]: error.message.substring(0, 200),
+        ...clearRequest
       });
     } catch (e) {
       console.error(`Failed to save error for ${promptId}:`, e);
     }
 
     progressTracker.increment(false);
-    return { success: false, promptId, error: error.message };
+    emitEvent('prompt_failed', { promptId, error: error.message, transient: false });
+    return { success: false, promptId, error: error.message, permanent: !!error.permanent };
   }
 }
 
@@ -1204,8 +1767,12 @@ async function processPrompt(promptRecord, baseRefImageUrls, api, genConfig) {
 // RUN
 // ============================================================================
 
-main().catch(err => {
-  console.error('\n❌ Fatal error:', err.message);
-  console.error(err.stack);
-  process.exit(1);
-});
+main()
+  .then(() => closeEventChannel())
+  .catch(async err => {
+    console.error('\n❌ Fatal error:', err.message);
+    console.error(err.stack);
+    await dataSource.flush();
+    await emitEvent('run_finished', { success: false, error: err.message });
+    process.exit(1);
+  });
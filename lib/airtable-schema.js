@@ -0,0 +1,247 @@
+// ============================================================================
+// Ladies Manager - Airtable Schema Mapping
+// ============================================================================
+// Maps the logical names used in the code to the table and field names of
+// your base. Override any of them in config.json:
+//   airtable.tables        - { generation, configuration, personas }
+//   airtable.fields        - Generation fields (prompt, generatedImages, ...)
+//   airtable.configFields  - Configuration fields (falApiKey, numImages, ...)
+//   airtable.personaFields - Personas fields (name, faceReference, ...)
+//   airtable.overrideFields - optional per-record Generation fields
+//                            (numImages, imageSize, ...), null = not used
+//
+// The Personas table is optional: without it every record uses the
+// Configuration references.
+//
+// validateSchema() checks the mapping against the Airtable metadata API
+// (token scope schema.bases:read) so a renamed column fails the run at
+// startup instead of halfway through a batch.
+// ============================================================================
+
+import { OVERRIDE_FIELD_NAMES } from './record-overrides.js';
+
+export const DEFAULT_TABLES = {
+  generation: 'Generation',
+  configuration: 'Configuration',
+  personas: 'Personas'
+};
+
+export const DEFAULT_FIELDS = {
+  prompt: 'Prompt',
+  videoPrompt: 'Video_Prompt',
+  promptImage: 'Prompt_Image',
+  generatedImages: 'Generated Images',
+  generatedVideos: 'Generated_Videos',
+  errorMessage: 'Error Message',
+  persona: 'Persona'
+};
+
+export const DEFAULT_CONFIG_FIELDS = {
+  falApiKey: 'FAL_API_KEY',
+  geminiApiKey: 'Gemini_API_Key',
+  geminiPromptTemplate: 'Gemini_Prompt_Template',
+  faceReference: 'Face_Reference',
+  bodyReference: 'Body_Reference',
+  enableNSFW: 'Enable_NSFW',
+  imageSize: 'Image_Size',
+  numImages: 'num_images',
+  enableVideo: 'Enable_Video',
+  videoDuration: 'Video_Duration',
+  provider: 'Provider'
+};
+
+export const DEFAULT_PERSONA_FIELDS = {
+  name: 'Name',
+  faceReference: 'Face_Reference',
+  bodyReference: 'Body_Reference',
+  imageSize: 'Image_Size',
+  numImages: 'num_images',
+  styleSuffix: 'Style_Suffix'
+};
+
+// Off by default: a field named here must exist, Airtable rejects unknown
+// field names in fields[] and formulas
+export const DEFAULT_OVERRIDE_FIELDS = Object.fromEntries(
+  Object.keys(OVERRIDE_FIELD_NAMES).map(key => [key, null])
+);
+
+const TEXT = ['singleLineText', 'multilineText', 'richText', 'formula', 'lookup', 'rollup'];
+const ATTACHMENTS = ['multipleAttachments', 'lookup'];
+const NUMBER = ['number', 'singleSelect', 'formula', 'lookup', 'rollup'];
+const CHECKBOX = ['checkbox', 'formula', 'lookup'];
+const CHOICE = ['singleSelect', 'singleLineText', 'formula', 'lookup'];
+const LINK = ['multipleRecordLinks', 'singleLineText', 'singleSelect', 'formula', 'lookup'];
+
+// Fields the processor writes must be plain, writable field types
+const WRITABLE_TEXT = ['singleLineText', 'multilineText', 'richText'];
+
+export const FIELD_TYPES = { TEXT, WRITABLE_TEXT, ATTACHMENTS, NUMBER, CHECKBOX, CHOICE, LINK };
+
+// required: missing field is an error, otherwise only a warning
+const GENERATION_SPECS = {
+  prompt: { types: TEXT, required: true },
+  videoPrompt: { types: TEXT },
+  promptImage: { types: ATTACHMENTS },
+  generatedImages: { types: ['multipleAttachments'], required: true },
+  generatedVideos: { types: ['multipleAttachments'] },
+  errorMessage: { types: WRITABLE_TEXT, required: true },
+  persona: { types: LINK } // required when the Personas table exists
+};
+
+const CONFIGURATION_SPECS = {
+  falApiKey: { types: TEXT },
+  geminiApiKey: { types: TEXT },
+  geminiPromptTemplate: { types: TEXT },
+  faceReference: { types: ATTACHMENTS },
+  bodyReference: { types: ATTACHMENTS },
+  enableNSFW: { types: CHECKBOX },
+  imageSize: { types: CHOICE },
+  numImages: { types: NUMBER },
+  enableVideo: { types: CHECKBOX },
+  videoDuration: { types: NUMBER },
+  provider: { types: CHOICE }
+};
+
+const OVERRIDE_SPECS = {
+  numImages: { types: NUMBER },
+  imageSize: { types: CHOICE },
+  aspectRatio: { types: CHOICE },
+  enableNSFW: { types: [...CHECKBOX, ...CHOICE] },
+  enableVideo: { types: [...CHECKBOX, ...CHOICE] },
+  videoDuration: { types: NUMBER },
+  videoCfgScale: { types: [...NUMBER, 'percent'] },
+  negativePrompt: { types: TEXT }
+};
+
+const PERSONA_SPECS = {
+  name: { types: TEXT, required: true },
+  faceReference: { types: ATTACHMENTS },
+  bodyReference: { types: ATTACHMENTS },
+  imageSize: { types: CHOICE },
+  numImages: { types: NUMBER },
+  styleSuffix: { types: TEXT }
+};
+
+export function resolveSchema(airtableConfig = {}) {
+  return {
+    tables: { ...DEFAULT_TABLES, ...(airtableConfig.tables || {}) },
+    fields: { ...DEFAULT_FIELDS, ...(airtableConfig.fields || {}) },
+    configFields: { ...DEFAULT_CONFIG_FIELDS, ...(airtableConfig.configFields || {}) },
+    personaFields: { ...DEFAULT_PERSONA_FIELDS, ...(airtableConfig.personaFields || {}) },
+    overrideFields: { ...DEFAULT_OVERRIDE_FIELDS, ...(airtableConfig.overrideFields || {}) }
+  };
+}
+
+// Rejects unknown keys and empty names in the config.json mapping
+export function checkMappingConfig(airtableConfig = {}) {
+  const errors = [];
+  const sections = [
+    ['tables', DEFAULT_TABLES],
+    ['fields', DEFAULT_FIELDS],
+    ['configFields', DEFAULT_CONFIG_FIELDS],
+    ['personaFields', DEFAULT_PERSONA_FIELDS],
+    ['overrideFields', DEFAULT_OVERRIDE_FIELDS]
+  ];
+
+  for (const [section, defaults] of sections) {
+    for (const [key, value] of Object.entries(airtableConfig[section] || {})) {
+      if (!(key in defaults)) {
+        errors.push(`airtable.${section}.${key} is not a known name (expected one of: ${Object.keys(defaults).join(', ')})`);
+      } else if (section === 'overrideFields' && value === null) {
+        continue;
+      } else if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`airtable.${section}.${key} must be a non-empty string`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// extraFields: additional Generation fields the run depends on, e.g.
+// { requestField: { name: 'FAL_Request', types: [...], required: true } }
+// (entries without a name are ignored, anyType skips the type check)
+// Returns { errors, warnings, skipped } - skipped is set when the metadata
+// API is not available to this token.
+export async function validateSchema(client, schema, extraFields = {}) {
+  let tables;
+  try {
+    tables = await client.getTables();
+  } catch (error) {
+    if ([401, 403, 404].includes(error.status)) {
+      return { errors: [], warnings: [], skipped: `metadata API not available (${error.status}), add the schema.bases:read scope to the token` };
+    }
+    throw error;
+  }
+
+  const errors = [];
+  const warnings = [];
+  const hasPersonas = tables.some(t => t.name === schema.tables.personas);
+
+  const generationSpecs = Object.entries(GENERATION_SPECS).map(([key, spec]) => ({
+    key, name: schema.fields[key], ...spec
+  }));
+
+  // With a Personas table the link to it must exist, otherwise every
+  // record silently runs without its persona
+  if (hasPersonas) {
+    generationSpecs.find(spec => spec.key === 'persona').required = true;
+  }
+
+  // Configured override fields must exist
+  for (const [key, spec] of Object.entries(OVERRIDE_SPECS)) {
+    if (schema.overrideFields[key]) {
+      generationSpecs.push({ key, name: schema.overrideFields[key], ...spec, required: true });
+    }
+  }
+
+  for (const [key, spec] of Object.entries(extraFields)) {
+    if (spec.name) {
+      generationSpecs.push({ key, ...spec });
+    }
+  }
+
+  const configurationSpecs = Object.entries(CONFIGURATION_SPECS).map(([key, spec]) => ({
+    key, name: schema.configFields[key], ...spec
+  }));
+
+  const personaSpecs = Object.entries(PERSONA_SPECS).map(([key, spec]) => ({
+    key, name: schema.personaFields[key], ...spec
+  }));
+
+  checkTable(tables, schema.tables.generation, generationSpecs, errors, warnings);
+  checkTable(tables, schema.tables.configuration, configurationSpecs, errors, warnings);
+
+  if (hasPersonas) {
+    checkTable(tables, schema.tables.personas, personaSpecs, errors, warnings);
+  } else {
+    warnings.push(`Table "${schema.tables.personas}" not found - personas disabled, all records use ${schema.tables.configuration}`);
+  }
+
+  return { errors, warnings, skipped: null };
+}
+
+function checkTable(tables, tableName, specs, errors, warnings) {
+  const table = tables.find(t => t.name === tableName);
+
+  if (!table) {
+    errors.push(`Table "${tableName}" not found (available: ${tables.map(t => t.name).join(', ')})`);
+    return;
+  }
+
+  for (const { key, name, types, anyType, required } of specs) {
+    const field = table.fields.find(f => f.name === name);
+
+    if (!field) {
+      const similar = table.fields.find(f => f.name.toLowerCase() === name.toLowerCase());
+      const hint = similar ? ` - did you mean "${similar.name}"?` : '';
+      const message = `${tableName}.${name} (${key}) not found${hint}`;
+      (required ? errors : warnings).push(message);
+      continue;
+    }
+
+    if (!anyType && !types.includes(field.type)) {
+      errors.push(`${tableName}.${name} (${key}) has type ${field.type}, expected ${types.join(' / ')}`);
+    }
+  }
+}
@@ -0,0 +1,320 @@
+// ============================================================================
+// Ladies Manager - Airtable Client
+// ============================================================================
+// Thin REST client for one Airtable base:
+//   - every request goes through a per-client throttle (Airtable allows
+//     5 requests per second per base)
+//   - 429 and 5xx responses are retried, honouring Retry-After
+//   - list requests page through results with the offset token and support
+//     filterByFormula, fields, view, sort, pageSize and maxRecords
+//   - BatchWriter coalesces record updates into 10-record PATCH requests
+// Table/field name mapping lives in airtable-schema.js.
+//
+// Usage:
+//   const airtable = new AirtableClient({ token, baseId, agent });
+//   for await (const page of airtable.pages('Generation', { view: 'Todo' })) ...
+//   const records = await airtable.listAll('Configuration', { maxRecords: 1 });
+//   const writer = new BatchWriter(airtable);
+//   await writer.update('Generation', recordId, { 'Error Message': null });
+// ============================================================================
+
+const API_URL = 'https://api.airtable.com/v0';
+const MAX_REQUESTS_PER_SECOND = 5;
+const MAX_PAGE_SIZE = 100;
+const MAX_BATCH_SIZE = 10;
+const REQUEST_TIMEOUT_MS = 300000;
+
+const MAX_RETRIES = 5;
+const RATE_LIMIT_WAIT_MS = 30000; // Airtable asks for 30s after a 429
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// THROTTLE
+// ============================================================================
+
+// Hands out evenly spaced request slots; safe for concurrent callers
+export class RequestThrottle {
+  constructor(requestsPerSecond) {
+    this.interval = 1000 / requestsPerSecond;
+    this.nextSlot = 0;
+    this.totalRequests = 0;
+    this.totalWaitTime = 0;
+  }
+
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+    this.totalRequests++;
+
+    const waitTime = slot - now;
+    if (waitTime > 0) {
+      this.totalWaitTime += waitTime;
+      await sleep(waitTime);
+    }
+  }
+
+  getStats() {
+    return {
+      totalRequests: this.totalRequests,
+      totalWaitTime: Math.round(this.totalWaitTime / 1000)
+    };
+  }
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+export class AirtableClient {
+  constructor({ token, baseId, agent = null, requestsPerSecond = MAX_REQUESTS_PER_SECOND }) {
+    this.token = token;
+    this.baseId = baseId;
+    this.agent = agent;
+    this.throttle = new RequestThrottle(Math.min(requestsPerSecond, MAX_REQUESTS_PER_SECOND));
+  }
+
+  async request(path, { method = 'GET', body = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle.acquire();
+
+      const url = path.startsWith('meta/') ? `${API_URL}/${path}` : `${API_URL}/${this.baseId}/${path}`;
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        agent: this.agent,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      const errorText = await response.text();
+
+      if (RETRYABLE_STATUS.includes(response.status) && attempt < MAX_RETRIES) {
+        const waitTime = retryDelayMs(response, attempt);
+        console.log(`⚠️ Airtable ${response.status} on ${method} ${path.split('?')[0]}, retrying in ${Math.round(waitTime / 1000)}s...`);
+        await sleep(waitTime);
+        continue;
+      }
+
+      const error = new Error(`Airtable ${method} ${path.split('?')[0]} failed: ${response.status} - ${errorText.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+
+  async listPage(table, params = {}, offset = null) {
+    const query = buildListQuery({ ...params, offset });
+    const data = await this.request(`${encodeURIComponent(table)}?${query}`);
+    return { records: data.records || [], offset: data.offset || null };
+  }
+
+  // Yields one page of records at a time until Airtable stops sending an offset
+  async *pages(table, params = {}) {
+    let offset = null;
+
+    do {
+      const page = await this.listPage(table, params, offset);
+      offset = page.offset;
+      yield page.records;
+    } while (offset);
+  }
+
+  async listAll(table, params = {}) {
+    const records = [];
+    for await (const page of this.pages(table, params)) {
+      records.push(...page);
+    }
+    return records;
+  }
+
+  async updateRecord(table, recordId, fields) {
+    return await this.request(`${encodeURIComponent(table)}/${recordId}`, {
+      method: 'PATCH',
+      body: { fields }
+    });
+  }
+
+  // Metadata API: [{ id, name, fields: [{ id, name, type }] }]
+  async getTables() {
+    const data = await this.request(`meta/bases/${this.baseId}/tables`);
+    return data.tables || [];
+  }
+
+  // records: [{ id, fields }], at most 10 per request
+  async updateRecords(table, records) {
+    const data = await this.request(encodeURIComponent(table), {
+      method: 'PATCH',
+      body: { records }
+    });
+    return data.records || [];
+  }
+}
+
+function retryDelayMs(response, attempt) {
+  const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+
+  return response.status === 429 ? RATE_LIMIT_WAIT_MS : 1000 * 2 ** attempt;
+}
+
+// ============================================================================
+// BATCHED WRITES
+// ============================================================================
+
+// Collects updates for a short moment and writes them as 10-record PATCH
+// requests. Several updates to the same record are merged (later fields
+// win). Writes are serialized, so updates reach Airtable in call order.
+export class BatchWriter {
+  constructor(client, { flushDelayMs = 500 } = {}) {
+    this.client = client;
+    this.flushDelayMs = flushDelayMs;
+    this.pending = new Map(); // table -> Map(recordId -> { fields, waiters })
+    this.timer = null;
+    this.chain = Promise.resolve();
+    this.totalRequests = 0;
+    this.totalUpdates = 0;
+  }
+
+  // Resolves once the update is stored in Airtable
+  update(table, recordId, fields) {
+    return new Promise((resolve, reject) => {
+      if (!this.pending.has(table)) {
+        this.pending.set(table, new Map());
+      }
+
+      const records = this.pending.get(table);
+      const entry = records.get(recordId) || { fields: {}, waiters: [] };
+      Object.assign(entry.fields, fields);
+      entry.waiters.push({ resolve, reject });
+      records.set(recordId, entry);
+      this.totalUpdates++;
+
+      if (records.size >= MAX_BATCH_SIZE) {
+        this.writeBatch(table);
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.flushDelayMs);
+      }
+    });
+  }
+
+  // Writes everything still pending
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    for (const table of this.pending.keys()) {
+      while (this.pending.get(table).size > 0) {
+        this.writeBatch(table);
+      }
+    }
+
+    await this.chain;
+  }
+
+  writeBatch(table) {
+    const records = this.pending.get(table);
+    const batch = [...records.entries()].slice(0, MAX_BATCH_SIZE);
+    batch.forEach(([recordId]) => records.delete(recordId));
+
+    this.chain = this.chain.then(() => this.send(table, batch));
+    return this.chain;
+  }
+
+  async send(table, batch) {
+    try {
+      this.totalRequests++;
+      const saved = await this.client.updateRecords(
+        table,
+        batch.map(([id, entry]) => ({ id, fields: entry.fields }))
+      );
+      batch.forEach(([id, entry]) => {
+        const record = saved.find(r => r.id === id) || null;
+        entry.waiters.forEach(waiter => waiter.resolve(record));
+      });
+    } catch (error) {
+      // 422 rejects the whole batch - retry one by one so a single bad
+      // record does not fail its neighbours
+      if (error.status === 422 && batch.length > 1) {
+        for (const entry of batch) {
+          await this.send(table, [entry]);
+        }
+        return;
+      }
+      batch.forEach(([, entry]) => entry.waiters.forEach(waiter => waiter.reject(error)));
+    }
+  }
+
+  getStats() {
+    return {
+      totalUpdates: this.totalUpdates,
+      totalRequests: this.totalRequests
+    };
+  }
+}
+
+// ============================================================================
+// FORMULAS
+// ============================================================================
+
+// Field reference for formulas: {Generated Images}
+export function fieldRef(name) {
+  return `{${name}}`;
+}
+
+// sort: [{ field, direction: 'asc' | 'desc' }]
+export function buildListQuery({ filterByFormula, fields, view, sort, pageSize, maxRecords, offset } = {}) {
+  const params = new URLSearchParams();
+
+  if (filterByFormula) params.append('filterByFormula', filterByFormula);
+  if (view) params.append('view', view);
+  if (maxRecords) params.append('maxRecords', String(maxRecords));
+  if (offset) params.append('offset', offset);
+
+  params.append('pageSize', String(Math.min(pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE)));
+
+  for (const field of fields || []) {
+    params.append('fields[]', field);
+  }
+
+  (sort || []).forEach(({ field, direction = 'asc' }, i) => {
+    params.append(`sort[${i}][field]`, field);
+    params.append(`sort[${i}][direction]`, direction);
+  });
+
+  return params.toString();
+}
+
+// Combines formulas with AND(), skipping empty ones
+export function andFormulas(...formulas) {
+  const parts = formulas.filter(Boolean);
+  if (parts.length === 0) return '';
+  return parts.length === 1 ? parts[0] : `AND(${parts.join(', ')})`;
+}
+
+// Generation records that still need images (and video, if enabled for the
+// run or - with videoField, a per-record override field - for the record)
+export function pendingGenerationFilter(fields, enableVideo, videoField = null) {
+  const noImages = `${fieldRef(fields.generatedImages)}=BLANK()`;
+  const needsVideo = `AND(NOT(${noImages}), ${fieldRef(fields.generatedVideos)}=BLANK())`;
+
+  if (enableVideo) {
+    return `OR(${noImages}, ${needsVideo})`;
+  }
+
+  return videoField
+    ? `OR(${noImages}, AND(${fieldRef(videoField)}, ${needsVideo}))`
+    : noImages;
+}
@@ -0,0 +1,176 @@
+// ============================================================================
+// Ladies Manager - Archive Builder
+// ============================================================================
+// Builds the ZIP files served by GET /download into <dir>/<key>.zip.
+//
+//   - images and videos are stored, not deflated: PNG/JPEG/WebP/MP4 are
+//     compressed already, deflating them only burns CPU on the VPS
+//   - the archive is written to a tmp file and renamed, then served as a
+//     plain file - so the size is known up front and HTTP Range requests
+//     (resume) work
+//   - key = hash of the selected files (name, size, mtime): the same
+//     selection is built once and reused until a file changes
+//   - one build at a time (single CPU), concurrent requests for the same
+//     archive wait for the same build
+//   - only the newest maxArchives files are kept
+//   - <key>.json next to each archive lists the runs it contains, so
+//     retention can delete the archive together with its runs
+// ============================================================================
+
+import { createWriteStream, existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, statSync, renameSync, unlinkSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import archiver from 'archiver';
+
+export const DEFAULT_MAX_ARCHIVES = 5;
+
+// Bump when the archive layout changes, so old archives are not reused
+const ARCHIVE_VERSION = 1;
+
+export class ArchiveBuilder {
+  constructor(dir, { maxArchives = DEFAULT_MAX_ARCHIVES } = {}) {
+    this.dir = dir;
+    this.maxArchives = maxArchives;
+    this.inFlight = new Map();
+    this.chain = Promise.resolve();
+
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  // files: collectDownloads() entries
+  static keyFor(files) {
+    const hash = createHash('sha256').update(`v${ARCHIVE_VERSION}\n`);
+    for (const file of files) {
+      hash.update(`${file.name}|${file.bytes}|${file.mtimeMs}|${file.sidecarPath ? 1 : 0}\n`);
+    }
+    return hash.digest('hex').slice(0, 32);
+  }
+
+  archivePath(key) {
+    return join(this.dir, `${key}.zip`);
+  }
+
+  // Finished archives in dir, newest first:
+  //   [{ filepath, infoPath, bytes, mtimeMs, runIds }]  (runIds null = unknown)
+  static list(dir) {
+    if (!existsSync(dir)) {
+      return [];
+    }
+
+    return readdirSync(dir)
+      .filter(name => name.endsWith('.zip'))
+      .map(name => {
+        const filepath = join(dir, name);
+        const infoPath = join(dir, `${name.slice(0, -4)}.json`);
+        const stats = statSync(filepath);
+        let runIds = null;
+
+        try {
+          runIds = JSON.parse(readFileSync(infoPath, 'utf-8')).runIds;
+        } catch {
+          // Built before run lists were written
+        }
+
+        return { filepath, infoPath, bytes: stats.size, mtimeMs: stats.mtimeMs, runIds };
+      })
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  }
+
+  // Deletes an archive and its run list
+  static remove({ filepath, infoPath }) {
+    // A download still reading the file keeps its open handle
+    rmSync(filepath, { force: true });
+    rmSync(infoPath, { force: true });
+  }
+
+  // Ready archive for these files, or null
+  find(files) {
+    const filepath = this.archivePath(ArchiveBuilder.keyFor(files));
+    return existsSync(filepath) ? filepath : null;
+  }
+
+  // Returns the path of a finished archive. createManifest() -> { json, csv }
+  // is only called when the archive is actually built.
+  async build(files, createManifest) {
+    const key = ArchiveBuilder.keyFor(files);
+    const filepath = this.archivePath(key);
+
+    if (existsSync(filepath)) {
+      return filepath;
+    }
+
+    if (!this.inFlight.has(key)) {
+      const build = this.chain
+        .then(() => this.write(filepath, files, createManifest))
+        .finally(() => this.inFlight.delete(key));
+
+      // A failed build must not block the ones queued behind it
+      this.chain = build.catch(() => {});
+      this.inFlight.set(key, build);
+    }
+
+    return await this.inFlight.get(key);
+  }
+
+  async write(filepath, files, createManifest) {
+    if (existsSync(filepath)) {
+      return filepath;
+    }
+
+    const tmpPath = `${filepath}.tmp`;
+    const output = createWriteStream(tmpPath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    const done = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.on('warning', reject);
+    });
+
+    archive.pipe(output);
+
+    // Files keep their run folder (<runId>/<file>), sidecars go next to them
+    for (const file of files) {
+      archive.file(file.path, { name: file.name, store: true });
+      if (file.sidecarPath) {
+        archive.file(file.sidecarPath, { name: file.name.replace(/\.[^.]+$/, '.json') });
+      }
+    }
+
+    const manifest = createManifest();
+    archive.append(manifest.json, { name: 'manifest.json' });
+    archive.append(manifest.csv, { name: 'manifest.csv' });
+
+    try {
+      await Promise.all([archive.finalize(), done]);
+    } catch (error) {
+      archive.abort();
+      output.destroy();
+      try {
+        unlinkSync(tmpPath);
+      } catch {
+        // Never created
+      }
+      throw error;
+    }
+
+    const runIds = [...new Set(files.map(file => file.runId).filter(Boolean))];
+    writeFileSync(filepath.replace(/\.zip$/, '.json'), JSON.stringify({ runIds, fileCount: files.length }));
+
+    renameSync(tmpPath, filepath);
+    this.prune(filepath);
+    return filepath;
+  }
+
+  // Keeps the newest maxArchives archives (and always the one just built)
+  prune(keep) {
+    for (const archive of ArchiveBuilder.list(this.dir).slice(this.maxArchives)) {
+      if (archive.filepath !== keep) {
+        ArchiveBuilder.remove(archive);
+      }
+    }
+  }
+}
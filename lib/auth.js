@@ -0,0 +1,269 @@
+// ============================================================================
+// Ladies Manager - Authentication & Roles
+// ============================================================================
+// Local user store (scrypt password hashes) + API tokens (stored as SHA-256
+// hashes, shown only once on creation) + in-memory login sessions.
+//
+// Roles (ordered, each includes the ones before it):
+//   viewer   - dashboard, status, live events, run history
+//   operator - everything above + start runs + download output
+// ============================================================================
+
+import {
+  readFileSync,
+  writeFileSync,
+  renameSync,
+  existsSync,
+  mkdirSync,
+  statSync
+} from 'fs';
+import { dirname } from 'path';
+import { randomBytes, scryptSync, createHash, timingSafeEqual } from 'crypto';
+
+export const ROLES = ['viewer', 'operator'];
+
+export const SESSION_COOKIE = 'lm_session';
+
+const SCRYPT_KEYLEN = 64;
+
+// ============================================================================
+// PASSWORD HASHING
+// ============================================================================
+
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function hasRole(principal, role) {
+  return !!principal && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}" (expected one of: ${ROLES.join(', ')})`);
+  }
+}
+
+// ============================================================================
+// USER STORE (users.json)
+// ============================================================================
+
+export class UserStore {
+  constructor(filepath) {
+    this.filepath = filepath;
+    this.data = { users: [], tokens: [] };
+    this.mtimeMs = 0;
+    this.load();
+  }
+
+  load() {
+    if (existsSync(this.filepath)) {
+      this.data = JSON.parse(readFileSync(this.filepath, 'utf-8'));
+      this.data.users = this.data.users || [];
+      this.data.tokens = this.data.tokens || [];
+      this.mtimeMs = statSync(this.filepath).mtimeMs;
+    }
+  }
+
+  // Picks up changes made with manage-users.js without a server restart
+  reloadIfChanged() {
+    if (existsSync(this.filepath) && statSync(this.filepath).mtimeMs !== this.mtimeMs) {
+      this.load();
+    }
+  }
+
+  save() {
+    const dir = dirname(this.filepath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.filepath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    renameSync(tmpPath, this.filepath);
+    this.mtimeMs = statSync(this.filepath).mtimeMs;
+  }
+
+  hasCredentials() {
+    this.reloadIfChanged();
+    return this.data.users.length > 0 || this.data.tokens.length > 0;
+  }
+
+  addUser(username, password, role) {
+    assertRole(role);
+
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+
+    if (this.data.users.some(user => user.username === username)) {
+      throw new Error(`User "${username}" already exists`);
+    }
+
+    this.data.users.push({
+      username,
+      passwordHash: hashPassword(password),
+      role,
+      createdAt: new Date().toISOString()
+    });
+    this.save();
+  }
+
+  removeUser(username) {
+    const before = this.data.users.length;
+    this.data.users = this.data.users.filter(user => user.username !== username);
+    this.save();
+    return this.data.users.length < before;
+  }
+
+  listUsers() {
+    return this.data.users.map(({ username, role, createdAt }) => ({ username, role, createdAt }));
+  }
+
+  authenticate(username, password) {
+    this.reloadIfChanged();
+    const user = this.data.users.find(u => u.username === username);
+
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+
+    return { username: user.username, role: user.role };
+  }
+
+  // Returns the plain token once; only its hash is persisted
+  createToken(name, role) {
+    assertRole(role);
+
+    const token = `lm_${randomBytes(24).toString('hex')}`;
+    const record = {
+      id: randomBytes(4).toString('hex'),
+      name,
+      role,
+      hash: hashToken(token),
+      createdAt: new Date().toISOString()
+    };
+
+    this.data.tokens.push(record);
+    this.save();
+
+    return { token, id: record.id };
+  }
+
+  revokeToken(id) {
+    const before = this.data.tokens.length;
+    this.data.tokens = this.data.tokens.filter(token => token.id !== id);
+    this.save();
+    return this.data.tokens.length < before;
+  }
+
+  listTokens() {
+    return this.data.tokens.map(({ id, name, role, createdAt }) => ({ id, name, role, createdAt }));
+  }
+
+  findToken(token) {
+    this.reloadIfChanged();
+    const hash = Buffer.from(hashToken(token), 'hex');
+    const record = this.data.tokens.find(t => timingSafeEqual(Buffer.from(t.hash, 'hex'), hash));
+
+    return record ? { username: `token:${record.name}`, role: record.role } : null;
+  }
+}
+
+// ============================================================================
+// SESSIONS (in-memory, cleared on restart)
+// ============================================================================
+
+export class SessionManager {
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+  }
+
+  create(principal) {
+    this.prune();
+
+    const sessionId = randomBytes(32).toString('hex');
+    this.sessions.set(sessionId, { ...principal, expires: Date.now() + this.ttlMs });
+    return sessionId;
+  }
+
+  get(sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+
+    if (!session) return null;
+
+    if (session.expires < Date.now()) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    return { username: session.username, role: session.role };
+  }
+
+  destroy(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expires < now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// REQUEST HELPERS
+// ============================================================================
+
+export function parseCookies(header) {
+  const cookies = {};
+
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const value = part.slice(index + 1).trim();
+
+      // Malformed escapes (another app on the domain) keep the raw value
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch {
+        cookies[part.slice(0, index).trim()] = value;
+      }
+    }
+  });
+
+  return cookies;
+}
+
+// Resolves the caller from an API token (Authorization: Bearer) or session cookie
+export function resolvePrincipal(req, userStore, sessions) {
+  const authHeader = req.get('Authorization') || '';
+
+  if (authHeader.startsWith('Bearer ')) {
+    return userStore.findToken(authHeader.slice('Bearer '.length).trim());
+  }
+
+  const cookies = parseCookies(req.get('Cookie'));
+  return sessions.get(cookies[SESSION_COOKIE]);
+}
@@ -0,0 +1,160 @@
+// ============================================================================
+// Ladies Manager - Airtable Data Source
+// ============================================================================
+// Prompts from the Generation table, settings from the first Configuration
+// record, personas from the (optional) Personas table, results written back
+// to Generation through the BatchWriter.
+// Table/field names come from config.json airtable.* (airtable-schema.js).
+// ============================================================================
+
+import { AirtableClient, BatchWriter, andFormulas, pendingGenerationFilter } from '../airtable.js';
+import { resolveSchema, checkMappingConfig, validateSchema, FIELD_TYPES } from '../airtable-schema.js';
+
+export class AirtableDataSource {
+  static id = 'airtable';
+
+  static checkConfig(config) {
+    const errors = [];
+    const { token, baseId, pageSize, batchSize, requestsPerSecond, sort, extraFields } = config.airtable || {};
+
+    if (!token) {
+      errors.push('Airtable token is missing');
+    }
+
+    if (!baseId) {
+      errors.push('Airtable base ID is missing');
+    }
+
+    if (pageSize !== undefined && !(Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= 100)) {
+      errors.push('airtable.pageSize must be an integer between 1 and 100');
+    }
+
+    if (batchSize !== undefined && !(Number.isInteger(batchSize) && batchSize >= 1)) {
+      errors.push('airtable.batchSize must be a positive integer');
+    }
+
+    if (requestsPerSecond !== undefined && !(requestsPerSecond > 0 && requestsPerSecond <= 5)) {
+      errors.push('airtable.requestsPerSecond must be between 0 and 5 (Airtable limit)');
+    }
+
+    if (sort !== undefined && !(Array.isArray(sort) && sort.every(entry => entry?.field && ['asc', 'desc', undefined].includes(entry.direction)))) {
+      errors.push('airtable.sort must be a list of { "field": "...", "direction": "asc" | "desc" }');
+    }
+
+    if (extraFields !== undefined && !(Array.isArray(extraFields) && extraFields.every(field => typeof field === 'string'))) {
+      errors.push('airtable.extraFields must be a list of field names');
+    }
+
+    errors.push(...checkMappingConfig(config.airtable));
+
+    return errors;
+  }
+
+  constructor(config, { agent = null } = {}) {
+    this.options = config.airtable || {};
+    this.schema = resolveSchema(this.options);
+    this.fields = this.schema.fields;
+    this.overrideFields = this.schema.overrideFields;
+    this.queueFile = 'queue.json';
+
+    // All Airtable requests share one throttle (5 req/s per base)
+    this.client = new AirtableClient({
+      token: this.options.token,
+      baseId: this.options.baseId,
+      agent,
+      requestsPerSecond: this.options.requestsPerSecond
+    });
+
+    this.writer = new BatchWriter(this.client);
+  }
+
+  getName() {
+    return 'Airtable';
+  }
+
+  // Mapped fields missing or mistyped in the base (metadata API)
+  async checkSchema({ requestField = null, recordProviderField = null } = {}) {
+    if (this.options.validateSchema === false) {
+      return { errors: [], warnings: [], skipped: 'disabled in config.json (airtable.validateSchema)' };
+    }
+
+    const extraFields = {
+      requestField: { name: requestField, types: FIELD_TYPES.WRITABLE_TEXT, required: true },
+      recordProviderField: { name: recordProviderField, types: FIELD_TYPES.CHOICE, required: true }
+    };
+
+    (this.options.extraFields || []).forEach((name, i) => {
+      extraFields[`extraFields[${i}]`] = { name, types: [], anyType: true, required: true };
+    });
+
+    return await validateSchema(this.client, this.schema, extraFields);
+  }
+
+  async loadSettings() {
+    const [record] = await this.client.listAll(this.schema.tables.configuration, { maxRecords: 1 });
+
+    if (!record) {
+      throw new Error(`No configuration record found in Airtable table ${this.schema.tables.configuration}`);
+    }
+
+    return mapFields(record.fields, this.schema.configFields);
+  }
+
+  async loadPersonas() {
+    let records;
+    try {
+      records = await this.client.listAll(this.schema.tables.personas);
+    } catch (error) {
+      // Table missing or not shared with the token: personas are optional
+      if ([403, 404].includes(error.status)) {
+        return [];
+      }
+      throw error;
+    }
+
+    return records.map(record => ({ id: record.id, ...mapFields(record.fields, this.schema.personaFields) }));
+  }
+
+  async *pendingPages({ enableVideo = false, recordIds = null, filterFormula = null, fields = null } = {}) {
+    const recordFilter = recordIds?.length
+      ? `OR(${recordIds.map(id => `RECORD_ID()='${id}'`).join(', ')})`
+      : null;
+
+    // config.json filter applies to every run, the run option narrows it further
+    const filterByFormula = andFormulas(
+      pendingGenerationFilter(this.fields, enableVideo, this.overrideFields.enableVideo),
+      recordFilter,
+      this.options.filterFormula,
+      filterFormula
+    );
+
+    yield* this.client.pages(this.schema.tables.generation, {
+      filterByFormula,
+      fields: fields && [...fields, ...(this.options.extraFields || [])],
+      view: this.options.view,
+      sort: this.options.sort,
+      pageSize: this.options.pageSize
+    });
+  }
+
+  async update(recordId, fields) {
+    return await this.writer.update(this.schema.tables.generation, recordId, fields);
+  }
+
+  async flush() {
+    await this.writer.flush();
+  }
+
+  getStats() {
+    return this.writer.getStats();
+  }
+}
+
+// Airtable field names -> logical keys ({ falApiKey: ..., numImages: ... })
+function mapFields(fields, mapping) {
+  const mapped = {};
+  for (const [key, name] of Object.entries(mapping)) {
+    mapped[key] = fields[name];
+  }
+  return mapped;
+}
@@ -0,0 +1,387 @@
+// ============================================================================
+// Ladies Manager - File Data Source
+// ============================================================================
+// Runs batches without Airtable (offline, tests, clients without a base):
+//   prompts     - CSV (header row) or JSON (list of objects), one prompt per
+//                 row. Columns use the Generation field names (Prompt,
+//                 Video_Prompt, Prompt_Image, ...) plus an optional "id".
+//                 Without an id column rows are called row-1, row-2, ...
+//                 Prompt_Image is a URL or a path relative to the prompts file.
+//   settings    - JSON with the Configuration keys of airtable-schema.js
+//                 ({ "falApiKey": "...", "numImages": 4, ... })
+//   references  - folder with face/ and body/ sub folders of images
+//   overrides   - optional per-record columns (num_images, Image_Size,
+//                 Aspect_Ratio, Enable_Video, ... see record-overrides.js)
+//   personas    - optional JSON list [{ "name", "imageSize", "numImages",
+//                 "styleSuffix" }], references in <references>/<name>/face
+//                 and /body. Rows pick one with a "Persona" column (name).
+//   results     - JSON written after every update: per record id the fields
+//                 the processor stored (Generated Images, Error Message, ...)
+//
+// Results are merged over the prompt rows when reading, so finished rows are
+// not pending any more and a crashed run resumes its stored FAL requests.
+// ============================================================================
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { join, dirname, basename, extname, resolve } from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { resolveSchema, DEFAULT_CONFIG_FIELDS } from '../airtable-schema.js';
+import { OVERRIDE_FIELD_NAMES, parseBoolean } from '../record-overrides.js';
+
+const PROMPT_FORMATS = ['.csv', '.json'];
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+export class FileDataSource {
+  static id = 'file';
+
+  static checkConfig(config) {
+    const errors = [];
+    const options = config.dataSource?.file;
+
+    if (!options?.prompts) {
+      errors.push('dataSource.file.prompts is missing (path to a .csv or .json prompt file)');
+    } else if (!PROMPT_FORMATS.includes(extname(options.prompts).toLowerCase())) {
+      errors.push(`dataSource.file.prompts must end in ${PROMPT_FORMATS.join(' or ')}`);
+    }
+
+    for (const key of ['settings', 'references', 'personas', 'results']) {
+      if (options?.[key] != null && (typeof options[key] !== 'string' || !options[key].trim())) {
+        errors.push(`dataSource.file.${key} must be a path`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Paths in config.json are relative to the app directory (baseDir)
+  constructor(config, { baseDir = process.cwd() } = {}) {
+    const options = config.dataSource?.file || {};
+    const dataDir = join(baseDir, config.storage?.dataDir || 'data');
+
+    const schema = resolveSchema(config.airtable);
+    this.fields = schema.fields;
+
+    // No unknown-field errors in files, so the suggested columns are always read
+    this.overrideFields = { ...OVERRIDE_FIELD_NAMES };
+    for (const [key, name] of Object.entries(schema.overrideFields)) {
+      if (name) this.overrideFields[key] = name;
+    }
+    this.promptsPath = resolve(baseDir, options.prompts || 'prompts.csv');
+
+    const name = basename(this.promptsPath, extname(this.promptsPath));
+    this.settingsPath = resolve(baseDir, options.settings || join(dirname(this.promptsPath), 'settings.json'));
+    this.referencesDir = resolve(baseDir, options.references || join(dirname(this.promptsPath), 'references'));
+    this.personasPath = resolve(baseDir, options.personas || join(dirname(this.promptsPath), 'personas.json'));
+    this.resultsPath = resolve(baseDir, options.results || join(dataDir, `results-${name}.json`));
+    this.queueFile = `queue-${name}.json`;
+
+    this.results = null;
+    this.totalUpdates = 0;
+    this.totalWrites = 0;
+  }
+
+  getName() {
+    return `file ${basename(this.promptsPath)}`;
+  }
+
+  async checkSchema({ recordProviderField = null } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    let rows = [];
+    try {
+      rows = this.readPrompts();
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (rows.length > 0 && !rows.some(row => this.fields.prompt in row)) {
+      errors.push(`${basename(this.promptsPath)} has no "${this.fields.prompt}" column`);
+    }
+
+    if (recordProviderField && rows.length > 0 && !rows.some(row => recordProviderField in row)) {
+      warnings.push(`${basename(this.promptsPath)} has no "${recordProviderField}" column (providers.recordField)`);
+    }
+
+    const ids = new Set();
+    for (const row of rows) {
+      if (ids.has(row.id)) {
+        errors.push(`Duplicate id "${row.id}" in ${basename(this.promptsPath)}`);
+      }
+      ids.add(row.id);
+    }
+
+    try {
+      const names = new Set();
+      for (const persona of this.readPersonas()) {
+        if (!persona.name) {
+          errors.push(`Persona without "name" in ${basename(this.personasPath)}`);
+        } else if (names.has(persona.name.toLowerCase())) {
+          errors.push(`Duplicate persona "${persona.name}" in ${basename(this.personasPath)}`);
+        }
+        names.add(String(persona.name).toLowerCase());
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    try {
+      const unknown = Object.keys(this.readSettings()).filter(key => !(key in DEFAULT_CONFIG_FIELDS));
+      if (unknown.length > 0) {
+        warnings.push(`Unknown keys in ${basename(this.settingsPath)}: ${unknown.join(', ')}`);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return { errors, warnings, skipped: null };
+  }
+
+  async loadSettings() {
+    return {
+      ...this.readSettings(),
+      faceReference: this.listReferences('face'),
+      bodyReference: this.listReferences('body')
+    };
+  }
+
+  async loadPersonas() {
+    return this.readPersonas().map(persona => ({
+      ...persona,
+      id: persona.name,
+      faceReference: this.listReferences(join(persona.name, 'face')),
+      bodyReference: this.listReferences(join(persona.name, 'body'))
+    }));
+  }
+
+  async *pendingPages({ enableVideo = false, recordIds = null, filterFormula = null } = {}) {
+    if (filterFormula) {
+      throw new Error('filterFormula needs the Airtable data source');
+    }
+
+    const results = this.loadResults();
+    const { generatedImages, generatedVideos, promptImage } = this.fields;
+
+    const records = this.readPrompts()
+      .filter(row => !recordIds?.length || recordIds.includes(row.id))
+      .map(row => {
+        const { id, ...fields } = row;
+        if (fields[promptImage] !== undefined) {
+          fields[promptImage] = this.toAttachments(fields[promptImage]);
+        }
+        return { id, fields: { ...fields, ...(results.records[id] || {}) } };
+      })
+      .filter(({ fields }) => {
+        const hasImages = fields[generatedImages]?.length > 0;
+        const hasVideo = fields[generatedVideos]?.length > 0;
+        const wantsVideo = enableVideo || parseBoolean(fields[this.overrideFields.enableVideo]) === true;
+        return !hasImages || (wantsVideo && !hasVideo);
+      });
+
+    yield records;
+  }
+
+  async update(recordId, fields) {
+    const results = this.loadResults();
+    const record = results.records[recordId] || {};
+
+    for (const [name, value] of Object.entries(fields)) {
+      if (value === null || value === undefined) {
+        delete record[name];
+      } else {
+        record[name] = value;
+      }
+    }
+
+    results.records[recordId] = { ...record, updatedAt: new Date().toISOString() };
+    this.totalUpdates++;
+    this.saveResults();
+
+    return { id: recordId, fields: record };
+  }
+
+  // Every update is written immediately
+  async flush() {}
+
+  getStats() {
+    return {
+      totalUpdates: this.totalUpdates,
+      totalRequests: this.totalWrites
+    };
+  }
+
+  // [{ id, ...columns }] with empty cells dropped
+  readPrompts() {
+    if (!existsSync(this.promptsPath)) {
+      throw new Error(`Prompt file not found: ${this.promptsPath}`);
+    }
+
+    const text = readFileSync(this.promptsPath, 'utf-8');
+    let rows;
+
+    if (extname(this.promptsPath).toLowerCase() === '.json') {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : data.records;
+      if (!Array.isArray(rows)) {
+        throw new Error(`${basename(this.promptsPath)} must contain a list of prompt objects`);
+      }
+    } else {
+      rows = parseCsv(text);
+    }
+
+    return rows.map((row, i) => {
+      const record = {};
+      for (const [key, value] of Object.entries(row)) {
+        if (value !== '' && value !== null && value !== undefined) {
+          record[key] = value;
+        }
+      }
+      record.id = record.id ? String(record.id) : `row-${i + 1}`;
+      return record;
+    });
+  }
+
+  readSettings() {
+    if (!existsSync(this.settingsPath)) {
+      throw new Error(`Settings file not found: ${this.settingsPath}`);
+    }
+
+    try {
+      return JSON.parse(readFileSync(this.settingsPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`${basename(this.settingsPath)} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Optional file - no personas.json means no personas
+  readPersonas() {
+    if (!existsSync(this.personasPath)) {
+      return [];
+    }
+
+    let personas;
+    try {
+      personas = JSON.parse(readFileSync(this.personasPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`${basename(this.personasPath)} is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(personas)) {
+      throw new Error(`${basename(this.personasPath)} must contain a list of personas`);
+    }
+    return personas;
+  }
+
+  // Images in <references>/<kind>/, sorted by file name
+  listReferences(kind) {
+    const dir = join(this.referencesDir, kind);
+    if (!existsSync(dir)) {
+      return [];
+    }
+
+    return readdirSync(dir)
+      .filter(file => extname(file).toLowerCase() in IMAGE_TYPES)
+      .sort()
+      .map(file => ({ url: pathToFileURL(join(dir, file)).href, filename: file }));
+  }
+
+  // "a.png", "https://...", ["a.png"] or [{ url }] -> [{ url }]
+  toAttachments(value) {
+    const list = Array.isArray(value) ? value : [value];
+
+    return list.map(entry => {
+      const location = typeof entry === 'string' ? entry.trim() : entry?.url;
+      if (/^(https?|data|file):/i.test(location)) {
+        return { url: location };
+      }
+      return { url: pathToFileURL(resolve(dirname(this.promptsPath), location)).href };
+    });
+  }
+
+  loadResults() {
+    if (!this.results) {
+      this.results = existsSync(this.resultsPath)
+        ? JSON.parse(readFileSync(this.resultsPath, 'utf-8'))
+        : { records: {} };
+      this.results.records = this.results.records || {};
+    }
+    return this.results;
+  }
+
+  saveResults() {
+    const dir = dirname(this.resultsPath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.resultsPath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ ...this.results, updatedAt: new Date().toISOString() }, null, 2));
+    renameSync(tmpPath, this.resultsPath);
+    this.totalWrites++;
+  }
+}
+
+// Reads a file:// attachment from disk: { buffer, mimeType }
+export function readLocalAttachment(url) {
+  const filepath = fileURLToPath(url);
+  return {
+    buffer: readFileSync(filepath),
+    mimeType: IMAGE_TYPES[extname(filepath).toLowerCase()] || null
+  };
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks.
+// Returns one object per row, keyed by the trimmed header names.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const names = header.map(name => name.trim());
+
+  return body.map(cells => Object.fromEntries(names.map((name, i) => [name, cells[i] ?? ''])));
+}
@@ -0,0 +1,70 @@
+// ============================================================================
+// Ladies Manager - Data Source Registry
+// ============================================================================
+// Where prompts and settings come from and where results are written to,
+// selected with config.json dataSource.type. Contract (see airtable.js /
+// file.js):
+//
+//   static id               - registry key, config.json dataSource.type
+//   static checkConfig(config) -> [errors] for the config.json section
+//   constructor(config, deps) - config: whole config.json,
+//                               deps: { baseDir, agent }
+//   getName()               - display name for logs
+//   fields                  - record field names (airtable-schema.js fields)
+//   overrideFields          - per-record override field names, null = unused
+//                             (lib/record-overrides.js)
+//   queueFile               - job queue file name in the data directory
+//   async checkSchema({ requestField, recordProviderField })
+//                           -> { errors, warnings, skipped }
+//   async loadSettings()    -> settings keyed like DEFAULT_CONFIG_FIELDS
+//                              ({ falApiKey, faceReference: [{ url }], ... })
+//   async loadPersonas()    -> [{ id, name, faceReference, bodyReference,
+//                                imageSize, numImages, styleSuffix }]
+//                              (empty when the source has no personas)
+//   async *pendingPages({ enableVideo, recordIds, filterFormula, fields })
+//                           -> yields pages of [{ id, fields }] that still
+//                              need images (or video, if enabled)
+//   async update(recordId, fields) - null clears a field
+//   async flush()           - write everything still buffered
+//   getStats()              -> { totalUpdates, totalRequests }
+// ============================================================================
+
+import { AirtableDataSource } from './airtable.js';
+import { FileDataSource } from './file.js';
+
+export const DEFAULT_DATA_SOURCE = AirtableDataSource.id;
+
+const REGISTRY = new Map([
+  [AirtableDataSource.id, AirtableDataSource],
+  [FileDataSource.id, FileDataSource]
+]);
+
+export const DATA_SOURCE_IDS = [...REGISTRY.keys()];
+
+export function dataSourceType(config) {
+  return config.dataSource?.type || DEFAULT_DATA_SOURCE;
+}
+
+// Returns a list of problems with the data source part of config.json
+export function checkDataSourceConfig(config) {
+  const DataSource = REGISTRY.get(dataSourceType(config));
+
+  if (!DataSource) {
+    return [`dataSource.type must be one of: ${DATA_SOURCE_IDS.join(', ')}`];
+  }
+
+  return DataSource.checkConfig(config);
+}
+
+export function createDataSource(config, deps = {}) {
+  const id = dataSourceType(config);
+  const DataSource = REGISTRY.get(id);
+
+  if (!DataSource) {
+    throw new Error(`Unknown data source "${id}" (available: ${DATA_SOURCE_IDS.join(', ')})`);
+  }
+
+  const dataSource = new DataSource(config, deps);
+  dataSource.id = id;
+  return dataSource;
+}
@@ -0,0 +1,262 @@
+// ============================================================================
+// Ladies Manager - Downloads
+// ============================================================================
+// Generated files live in one folder per run:
+//
+//   downloads/<runId>/<recordId>_<n>.<ext>   images
+//   downloads/<runId>/<recordId>_video.mp4   video
+//   downloads/<runId>/<file>.json            metadata sidecar (prompt, seed, ...)
+//   downloads/<runId>/thumbs/                dashboard thumbnails
+//
+// Files directly in downloads/ were written before per-run folders existed
+// and are only included when all files are requested.
+//
+// GET /download selects files with a filter ({ runIds, recordIds, files,
+// from, to, all }) and adds a manifest (JSON + CSV) mapping every file to its record,
+// prompt and run settings.
+// ============================================================================
+
+import { readdirSync, readFileSync, statSync, existsSync } from 'fs';
+import { join, extname } from 'path';
+import { RunStore } from './run-store.js';
+
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const FILE_NAME_PATTERN = /^[\w-]+\.\w+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const MEDIA_FILE_PATTERN = /^(.+)_(\d+|video)\.(png|jpe?g|webp|gif|mp4|webm|mov)$/i;
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov'];
+const MAX_FILTER_IDS = 500;
+
+export const MANIFEST_COLUMNS = [
+  'file', 'runId', 'recordId', 'kind', 'index', 'prompt', 'seed', 'provider',
+  'model', 'size', 'persona', 'sha256', 'bytes', 'createdAt'
+];
+
+export function runDownloadDir(root, runId) {
+  return join(root, runId);
+}
+
+// run_20261019T124500_ab12cd -> Date (UTC)
+export function runDate(runId) {
+  const [, stamp] = runId.split('_');
+  const iso = `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`;
+  return new Date(iso);
+}
+
+function listParam(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// <runId>/<file> of a generated file, as used in the ZIP and the manifest
+export function isMediaName(name) {
+  const [runId, file, ...rest] = String(name).split('/');
+  return rest.length === 0 && RunStore.isValidId(runId) && isMediaFile(file);
+}
+
+// File name of a generated image / video (no path)
+export function isMediaFile(file) {
+  return typeof file === 'string' && FILE_NAME_PATTERN.test(file) && MEDIA_FILE_PATTERN.test(file);
+}
+
+// Query string (or form body) of /download -> { filter, errors }
+//   run=<runId>[,<runId>]  records=<id>[,<id>]  files=<runId>/<file>[,...]
+//   from=YYYY-MM-DD  to=YYYY-MM-DD  all=true
+export function parseDownloadFilter(query = {}) {
+  const errors = [];
+  const filter = { runIds: null, recordIds: null, files: null, from: null, to: null, all: false };
+
+  if (query.run !== undefined) {
+    const runIds = listParam(query.run);
+    const invalid = runIds.filter(runId => !RunStore.isValidId(runId));
+    if (runIds.length === 0 || invalid.length > 0) {
+      errors.push(`run must be one or more run ids${invalid.length > 0 ? ` (invalid: ${invalid.slice(0, 3).join(', ')})` : ''}`);
+    } else {
+      filter.runIds = runIds;
+    }
+  }
+
+  if (query.records !== undefined) {
+    const recordIds = listParam(query.records);
+    if (recordIds.length === 0 || recordIds.length > MAX_FILTER_IDS || !recordIds.every(id => RECORD_ID_PATTERN.test(id))) {
+      errors.push(`records must be a comma separated list of up to ${MAX_FILTER_IDS} record ids`);
+    } else {
+      filter.recordIds = recordIds;
+    }
+  }
+
+  if (query.files !== undefined) {
+    const files = listParam(query.files);
+    if (files.length === 0 || files.length > MAX_FILTER_IDS || !files.every(isMediaName)) {
+      errors.push(`files must be a list of up to ${MAX_FILTER_IDS} files like <runId>/<recordId>_1.png`);
+    } else {
+      filter.files = files;
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+
+    const value = String(query[key]);
+    const date = DATE_PATTERN.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || isNaN(date)) {
+      errors.push(`${key} must be a date like 2026-01-31`);
+      continue;
+    }
+
+    // "to" includes the whole day
+    filter[key] = key === 'to' ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) : date;
+  }
+
+  if (filter.from && filter.to && filter.from > filter.to) {
+    errors.push('from must not be after to');
+  }
+
+  filter.all = ['true', '1'].includes(String(query.all));
+
+  return { filter, errors };
+}
+
+export function hasSelection(filter) {
+  return !!(filter.runIds || filter.recordIds || filter.files || filter.from || filter.to || filter.all);
+}
+
+// Run folders in downloads/, newest first
+export function listRunFolders(root) {
+  if (!existsSync(root)) {
+    return [];
+  }
+
+  return readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && RunStore.isValidId(entry.name))
+    .map(entry => entry.name)
+    .sort()
+    .reverse();
+}
+
+export function readSidecar(filepath) {
+  if (!existsSync(filepath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(filepath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Media files of one folder (runId null = legacy files in downloads/)
+function folderEntries(dir, runId) {
+  return readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name)
+    .filter(name => MEDIA_FILE_PATTERN.test(name))
+    .map(name => {
+      const filepath = join(dir, name);
+      const [, recordId, index] = name.match(MEDIA_FILE_PATTERN);
+      const baseName = name.slice(0, -extname(name).length);
+      const sidecarPath = join(dir, `${baseName}.json`);
+      const stats = statSync(filepath);
+
+      return {
+        path: filepath,
+        name: runId ? `${runId}/${name}` : name,
+        sidecarPath: existsSync(sidecarPath) ? sidecarPath : null,
+        runId,
+        recordId,
+        kind: VIDEO_EXTENSIONS.includes(extname(name).toLowerCase()) ? 'video' : 'image',
+        index: index === 'video' ? null : Number(index),
+        bytes: stats.size,
+        mtimeMs: stats.mtimeMs,
+        date: runId ? runDate(runId) : stats.mtime
+      };
+    });
+}
+
+// Files matching filter, oldest run first
+export function collectDownloads(root, filter) {
+  if (!existsSync(root)) {
+    return [];
+  }
+
+  const runIds = filter.runIds
+    || (filter.files && [...new Set(filter.files.map(name => name.split('/')[0]))].sort())
+    || listRunFolders(root).reverse();
+  const entries = [];
+
+  for (const runId of runIds) {
+    const dir = runDownloadDir(root, runId);
+    if (existsSync(dir)) {
+      entries.push(...folderEntries(dir, runId));
+    }
+  }
+
+  if (filter.all && !filter.runIds && !filter.files) {
+    entries.unshift(...folderEntries(root, null));
+  }
+
+  return entries.filter(entry =>
+    (!filter.recordIds || filter.recordIds.includes(entry.recordId)) &&
+    (!filter.files || filter.files.includes(entry.name)) &&
+    (!filter.from || entry.date >= filter.from) &&
+    (!filter.to || entry.date <= filter.to)
+  );
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// entries: collectDownloads(), runs: { runId: run record | null }
+// -> { json, csv } strings for manifest.json / manifest.csv
+export function buildManifest(entries, runs = {}) {
+  const files = entries.map(entry => {
+    const sidecar = readSidecar(entry.sidecarPath) || {};
+    const runPrompt = runs[entry.runId]?.prompts?.find(prompt => prompt.id === entry.recordId);
+
+    return {
+      file: entry.name,
+      runId: entry.runId,
+      recordId: entry.recordId,
+      kind: entry.kind,
+      index: entry.index,
+      prompt: sidecar.prompt ?? runPrompt?.prompt ?? null,
+      seed: sidecar.seed ?? null,
+      provider: sidecar.provider ?? runs[entry.runId]?.config?.provider ?? null,
+      model: sidecar.model ?? null,
+      size: sidecar.size ?? null,
+      persona: sidecar.persona ?? null,
+      sha256: sidecar.file?.sha256 ?? null,
+      bytes: entry.bytes,
+      createdAt: sidecar.savedAt ?? entry.date.toISOString()
+    };
+  });
+
+  const runSettings = {};
+  for (const runId of new Set(entries.map(entry => entry.runId).filter(Boolean))) {
+    const run = runs[runId];
+    runSettings[runId] = run
+      ? { startTime: run.startTime, trigger: run.trigger, status: run.status, config: run.config || null }
+      : null;
+  }
+
+  const json = JSON.stringify({
+    createdAt: new Date().toISOString(),
+    fileCount: files.length,
+    runs: runSettings,
+    files
+  }, null, 2);
+
+  const csv = [
+    MANIFEST_COLUMNS.join(','),
+    ...files.map(file => MANIFEST_COLUMNS.map(column => csvField(file[column])).join(','))
+  ].join('\r\n') + '\r\n';
+
+  return { json, csv };
+}
@@ -0,0 +1,239 @@
+// ============================================================================
+// Ladies Manager - File Download
+// ============================================================================
+// Downloads generated images / videos from the provider CDN to disk:
+//
+//   - follows redirects (301/302/303/307/308, at most maxRedirects)
+//   - timeoutMs without any data aborts the attempt
+//   - streams to <base>.part and renames when complete - a failed download
+//     never leaves a partial file behind
+//   - checks status 200, Content-Length (when sent), maxBytes, the content
+//     type and the file signature (an HTML error page is not an image)
+//   - retries network errors, timeouts, 429 and 5xx with backoff
+//   - the extension comes from the content type, corrected by the file
+//     signature when the CDN sends a generic or wrong type
+//
+// data: URLs (mock provider) are decoded and written the same way.
+// ============================================================================
+
+import { createWriteStream, writeFileSync, renameSync, rmSync } from 'fs';
+import http from 'http';
+import https from 'https';
+import { detectFormat } from './image-postprocess.js';
+
+export const DEFAULT_DOWNLOAD_OPTIONS = {
+  accept: 'image',
+  timeoutMs: 60000,
+  maxRedirects: 5,
+  maxBytes: 500 * 1024 * 1024,
+  backoffMs: [1000, 2000, 4000]
+};
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov'
+};
+
+// Types CDNs send for anything - the file signature decides
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+const SIGNATURE_BYTES = 16;
+
+function downloadError(message, retryable) {
+  return Object.assign(new Error(message), { retryable });
+}
+
+function mediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Extension for the downloaded bytes, error if they are not accept media
+function pickExtension(contentType, signature, accept) {
+  const type = mediaType(contentType);
+  const detected = detectFormat(signature);
+
+  if (!GENERIC_TYPES.includes(type) && !type.startsWith(`${accept}/`)) {
+    throw downloadError(`unexpected content type ${type} (expected ${accept})`, false);
+  }
+
+  if (!detected || !detected.mimeType.startsWith(`${accept}/`)) {
+    throw downloadError(`downloaded file is not ${accept === 'image' ? 'an image' : 'a video'} (${type || 'no content type'})`, false);
+  }
+
+  return EXTENSIONS[type] && EXTENSIONS[type] === detected.extension ? EXTENSIONS[type] : detected.extension;
+}
+
+function finish(tmpPath, basePath, extension) {
+  const filepath = `${basePath}.${extension}`;
+  renameSync(tmpPath, filepath);
+  return filepath;
+}
+
+function saveDataUrl(url, basePath, options) {
+  const separator = url.indexOf(',');
+  const header = url.slice(5, separator);
+  const buffer = Buffer.from(url.slice(separator + 1), header.endsWith(';base64') ? 'base64' : 'utf-8');
+
+  if (buffer.length === 0) {
+    throw downloadError('empty data URL', false);
+  }
+
+  const extension = pickExtension(header.replace(/;base64$/, ''), buffer.subarray(0, SIGNATURE_BYTES), options.accept);
+  const tmpPath = `${basePath}.part`;
+  writeFileSync(tmpPath, buffer);
+
+  return {
+    filepath: finish(tmpPath, basePath, extension),
+    bytes: buffer.length,
+    contentType: mediaType(header.replace(/;base64$/, '')),
+    extension,
+    attempts: 1
+  };
+}
+
+// One GET incl. redirects -> { filepath, bytes, contentType, extension }
+function fetchToFile(url, basePath, options, redirects = 0) {
+  const { accept, timeoutMs, maxRedirects, maxBytes, agents } = options;
+  const protocol = url.startsWith('https:') ? https : http;
+  const agent = url.startsWith('https:') ? agents?.https : agents?.http;
+  const tmpPath = `${basePath}.part`;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let file = null;
+
+    // Only the first outcome counts (a destroyed request emits several errors)
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      file?.destroy();
+      rmSync(tmpPath, { force: true });
+      reject(error);
+    };
+
+    const request = protocol.get(url, { agent }, (res) => {
+      if (REDIRECT_CODES.includes(res.statusCode)) {
+        res.resume();
+
+        if (!res.headers.location) {
+          return fail(downloadError(`HTTP ${res.statusCode} without Location`, false));
+        }
+        if (redirects >= maxRedirects) {
+          return fail(downloadError(`more than ${maxRedirects} redirects`, false));
+        }
+
+        const next = new URL(res.headers.location, url).href;
+        if (!/^https?:/.test(next)) {
+          return fail(downloadError(`redirect to unsupported URL ${next.slice(0, 40)}`, false));
+        }
+        settled = true;
+        return fetchToFile(next, basePath, options, redirects + 1).then(resolve, reject);
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        const retryable = res.statusCode === 429 || res.statusCode >= 500;
+        return fail(downloadError(`HTTP ${res.statusCode}`, retryable));
+      }
+
+      const expected = res.headers['content-length'] !== undefined ? Number(res.headers['content-length']) : null;
+      if (expected !== null && expected > maxBytes) {
+        res.resume();
+        return fail(downloadError(`file too large (${expected} bytes, max ${maxBytes})`, false));
+      }
+
+      file = createWriteStream(tmpPath);
+      let bytes = 0;
+      let signature = Buffer.alloc(0);
+
+      res.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (signature.length < SIGNATURE_BYTES) {
+          signature = Buffer.concat([signature, chunk]).subarray(0, SIGNATURE_BYTES);
+        }
+        if (bytes > maxBytes) {
+          fail(downloadError(`file too large (more than ${maxBytes} bytes)`, false));
+          request.destroy();
+        }
+      });
+
+      res.on('error', (error) => fail(downloadError(`connection closed during download (${error.message})`, true)));
+
+      res.pipe(file);
+
+      file.on('error', (error) => fail(downloadError(`cannot write ${tmpPath}: ${error.message}`, false)));
+
+      file.on('finish', () => {
+        if (!res.complete) {
+          return fail(downloadError('connection closed before the download was complete', true));
+        }
+        if (bytes === 0) {
+          return fail(downloadError('empty response', true));
+        }
+        if (expected !== null && bytes !== expected) {
+          return fail(downloadError(`incomplete download (${bytes} of ${expected} bytes)`, true));
+        }
+
+        if (settled) return;
+
+        try {
+          const extension = pickExtension(res.headers['content-type'], signature, accept);
+          const filepath = finish(tmpPath, basePath, extension);
+          settled = true;
+          resolve({ filepath, bytes, contentType: mediaType(res.headers['content-type']), extension });
+        } catch (error) {
+          fail(error);
+        }
+      });
+    });
+
+    // Idle timeout: no data for timeoutMs
+    request.setTimeout(timeoutMs, () => {
+      fail(downloadError(`timeout after ${timeoutMs / 1000}s without data`, true));
+      request.destroy();
+    });
+
+    request.on('error', (error) => {
+      fail(error.retryable === undefined ? downloadError(error.message, true) : error);
+    });
+  });
+}
+
+// basePath: target without extension (downloads/<run>/<record>_video).
+// options: DEFAULT_DOWNLOAD_OPTIONS + agents: { http, https }, onRetry(error, attempt, delayMs).
+// Returns { filepath, bytes, contentType, extension, attempts }.
+export async function downloadFile(url, basePath, options = {}) {
+  const settings = { ...DEFAULT_DOWNLOAD_OPTIONS, ...options };
+
+  if (url.startsWith('data:')) {
+    return saveDataUrl(url, basePath, settings);
+  }
+
+  if (!/^https?:/.test(url)) {
+    throw downloadError(`unsupported URL ${url.slice(0, 40)}`, false);
+  }
+
+  const attempts = settings.backoffMs.length + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fetchToFile(url, basePath, settings);
+      return { ...result, attempts: attempt };
+    } catch (error) {
+      if (!error.retryable || attempt >= attempts) {
+        throw attempt > 1 ? Object.assign(error, { message: `${error.message} (after ${attempt} attempts)` }) : error;
+      }
+
+      const delay = settings.backoffMs[attempt - 1];
+      settings.onRetry?.(error, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
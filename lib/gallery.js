@@ -0,0 +1,94 @@
+// ============================================================================
+// Ladies Manager - Gallery
+// ============================================================================
+// Data for the gallery page (gallery.html, GET /runs/:id/media): the
+// generated files of one run grouped by record, next to what the run
+// history knows about the record (status, prompt, error).
+//
+//   { runId, filesDeleted, personas, records: [{ recordId, status, prompt,
+//     videoPrompt, error, persona, hasVideo, saveErrors, files: [{ name,
+//     file, kind, index, thumbnail, bytes, seed, model, size }] }] }
+//
+// Records without files (failed, untouched) are listed too, records with
+// files but no run history (command line runs) get status null. Media is
+// served by GET /media/:runId/:file, thumbnails by GET /thumbnails/...
+// ============================================================================
+
+import { existsSync } from 'fs';
+import { join, extname } from 'path';
+import { collectDownloads, readSidecar, runDownloadDir } from './downloads.js';
+import { THUMBNAIL_DIR } from './image-postprocess.js';
+
+// root: downloads/, run: run record (null for runs without history)
+export function buildGallery(root, runId, run = null) {
+  const dir = runDownloadDir(root, runId);
+  const entries = collectDownloads(root, { runIds: [runId] });
+  const records = new Map();
+
+  const recordFor = (recordId) => {
+    if (!records.has(recordId)) {
+      records.set(recordId, {
+        recordId,
+        status: null,
+        prompt: null,
+        videoPrompt: null,
+        error: null,
+        persona: null,
+        hasVideo: false,
+        saveErrors: [],
+        files: []
+      });
+    }
+    return records.get(recordId);
+  };
+
+  for (const prompt of run?.prompts || []) {
+    Object.assign(recordFor(prompt.id), {
+      status: prompt.status,
+      prompt: prompt.prompt || null,
+      error: prompt.error || null,
+      saveErrors: prompt.saveErrors || []
+    });
+  }
+
+  for (const entry of entries) {
+    const record = recordFor(entry.recordId);
+    const sidecar = readSidecar(entry.sidecarPath) || {};
+    const file = entry.name.slice(runId.length + 1);
+    const thumbnail = `${file.slice(0, -extname(file).length)}.webp`;
+
+    record.persona = record.persona || sidecar.persona || null;
+    record.hasVideo = record.hasVideo || entry.kind === 'video';
+    if (entry.kind === 'video') {
+      record.videoPrompt = sidecar.prompt ?? null;
+    } else {
+      record.prompt = record.prompt || sidecar.prompt || null;
+    }
+
+    record.files.push({
+      name: entry.name,
+      file,
+      kind: entry.kind,
+      index: entry.index,
+      thumbnail: existsSync(join(dir, THUMBNAIL_DIR, thumbnail)) ? thumbnail : null,
+      bytes: entry.bytes,
+      seed: sidecar.seed ?? null,
+      model: sidecar.model ?? null,
+      size: sidecar.size ?? null
+    });
+  }
+
+  // Images in order, video last
+  for (const record of records.values()) {
+    record.files.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+  }
+
+  const list = [...records.values()];
+
+  return {
+    runId,
+    filesDeleted: !!run?.filesDeletedAt,
+    personas: [...new Set(list.map(record => record.persona).filter(Boolean))].sort(),
+    records: list
+  };
+}
@@ -0,0 +1,267 @@
+// ============================================================================
+// Ladies Manager - Image Cache
+// ============================================================================
+// Local content-addressed cache for input images (Face/Body references,
+// Prompt_Image), so a run does not download the same attachment again for
+// every persona, record or run.
+//
+//   <dir>/blobs/<sha256>.<ext> - image bytes, named by their content hash
+//   <dir>/index.json           - { entries: { key: { hash, mimeType, size,
+//                                  createdAt, lastUsedAt } } }
+//
+// Key: the Airtable attachment id (stable, while its URL expires after a few
+// hours) or a hash of the URL for attachments without an id. Identical
+// images under different keys share one blob. file: URLs are local already
+// and bypass the cache.
+//
+// Blobs are evicted least recently used first once the total size exceeds
+// maxBytes. The index is written atomically (tmp file + rename).
+// ============================================================================
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+export const DEFAULT_MAX_MB = 500;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Returns a list of problems with config.json imageCache
+export function checkImageCacheConfig(options = {}) {
+  const errors = [];
+
+  if (options.maxMB !== undefined && !(typeof options.maxMB === 'number' && options.maxMB >= 0)) {
+    errors.push('imageCache.maxMB must be a number >= 0 (0 = cache disabled)');
+  }
+
+  if (options.dir !== undefined && options.dir !== null && typeof options.dir !== 'string') {
+    errors.push('imageCache.dir must be a directory path');
+  }
+
+  return errors;
+}
+
+function hashOf(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+export class ImageCache {
+  constructor(dir, { maxBytes = DEFAULT_MAX_MB * 1024 * 1024 } = {}) {
+    this.dir = dir;
+    this.blobDir = join(dir, 'blobs');
+    this.indexPath = join(dir, 'index.json');
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0, bypassed: 0, bytesDownloaded: 0, bytesFromCache: 0, evictions: 0 };
+
+    if (this.enabled) {
+      this.load();
+    }
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  load() {
+    if (!existsSync(this.indexPath)) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(this.indexPath, 'utf-8'));
+    } catch (error) {
+      // Only a cache: start empty instead of failing the run
+      console.log(`⚠️ Image cache index unreadable (${error.message}), starting empty`);
+      return;
+    }
+
+    for (const [key, entry] of Object.entries(data.entries || {})) {
+      if (existsSync(this.blobPath(entry))) {
+        this.entries.set(key, entry);
+      } else {
+        this.dirty = true;
+      }
+    }
+  }
+
+  save() {
+    if (!this.dirty) {
+      return;
+    }
+
+    if (!existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.indexPath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ entries: Object.fromEntries(this.entries) }, null, 2));
+    renameSync(tmpPath, this.indexPath);
+    this.dirty = false;
+  }
+
+  blobPath({ hash, mimeType }) {
+    return join(this.blobDir, `${hash}.${EXTENSIONS[mimeType] || 'bin'}`);
+  }
+
+  // attachment: { id?, url } as returned by the data source
+  static keyFor(attachment) {
+    if (attachment.id) {
+      return attachment.id;
+    }
+    return `url_${createHash('sha256').update(attachment.url).digest('hex').slice(0, 32)}`;
+  }
+
+  // Returns { buffer, mimeType, hash }. load(url) -> { buffer, mimeType }
+  // fetches on a miss; concurrent requests for the same attachment share
+  // one fetch.
+  async get(attachment, load) {
+    if (!this.enabled || attachment.url.startsWith('file:')) {
+      this.stats.bypassed++;
+      const result = await load(attachment.url);
+      const buffer = Buffer.from(result.buffer);
+      return { buffer, mimeType: result.mimeType, hash: hashOf(buffer) };
+    }
+
+    const key = ImageCache.keyFor(attachment);
+
+    const cached = this.read(key);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.inFlight.has(key)) {
+      const pending = this.fetch(key, attachment, load)
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, pending);
+    }
+
+    return await this.inFlight.get(key);
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    let buffer;
+    try {
+      buffer = readFileSync(this.blobPath(entry));
+    } catch (error) {
+      // Blob removed behind our back: treat as a miss
+      this.entries.delete(key);
+      this.dirty = true;
+      return null;
+    }
+
+    entry.lastUsedAt = new Date().toISOString();
+    this.dirty = true;
+    this.stats.hits++;
+    this.stats.bytesFromCache += buffer.length;
+
+    return { buffer, mimeType: entry.mimeType, hash: entry.hash };
+  }
+
+  async fetch(key, attachment, load) {
+    const result = await load(attachment.url);
+    const buffer = Buffer.from(result.buffer);
+    const mimeType = result.mimeType?.split(';')[0].trim() || attachment.type || null;
+
+    this.stats.misses++;
+    this.stats.bytesDownloaded += buffer.length;
+
+    const now = new Date().toISOString();
+    const entry = {
+      hash: hashOf(buffer),
+      mimeType,
+      size: buffer.length,
+      createdAt: now,
+      lastUsedAt: now
+    };
+
+    try {
+      this.writeBlob(entry, buffer);
+      this.entries.set(key, entry);
+      this.dirty = true;
+      this.evict();
+      this.save();
+    } catch (error) {
+      // A full disk must not fail the record, the bytes are already here
+      console.log(`⚠️ Image cache write failed: ${error.message}`);
+    }
+
+    return { buffer, mimeType, hash: entry.hash };
+  }
+
+  writeBlob(entry, buffer) {
+    const filepath = this.blobPath(entry);
+    if (existsSync(filepath)) {
+      return;
+    }
+
+    if (!existsSync(this.blobDir)) {
+      mkdirSync(this.blobDir, { recursive: true });
+    }
+
+    const tmpPath = `${filepath}.tmp`;
+    writeFileSync(tmpPath, buffer);
+    renameSync(tmpPath, filepath);
+  }
+
+  // Size of all distinct blobs (shared blobs count once)
+  totalBytes() {
+    const sizes = new Map();
+    for (const entry of this.entries.values()) {
+      sizes.set(this.blobPath(entry), entry.size);
+    }
+    return [...sizes.values()].reduce((sum, size) => sum + size, 0);
+  }
+
+  // Drops least recently used keys until the cache fits, then deletes
+  // blobs no key points to anymore. The newest entry always stays.
+  evict() {
+    const byAge = [...this.entries.entries()]
+      .sort(([, a], [, b]) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+
+    let total = this.totalBytes();
+
+    for (const [key, entry] of byAge.slice(0, -1)) {
+      if (total <= this.maxBytes) {
+        break;
+      }
+
+      this.entries.delete(key);
+      this.stats.evictions++;
+      this.dirty = true;
+
+      const filepath = this.blobPath(entry);
+      const shared = [...this.entries.values()].some(other => this.blobPath(other) === filepath);
+      if (!shared) {
+        total -= entry.size;
+        try {
+          unlinkSync(filepath);
+        } catch (error) {
+          // Already gone
+        }
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      totalBytes: this.totalBytes(),
+      maxBytes: this.maxBytes
+    };
+  }
+}
@@ -0,0 +1,191 @@
+// ============================================================================
+// Ladies Manager - Image Post-processing
+// ============================================================================
+// Generated images are saved through here (config.json postProcessing):
+//
+//   - the real format is detected from the file bytes, not the URL
+//   - optional conversion to jpeg / webp / png with a quality setting
+//   - optional thumbnail: <dir>/thumbs/<name>.webp (dashboard)
+//   - optional prompt / seed / model embedded as EXIF (re-encodes the file)
+//   - optional sidecar <dir>/<name>.json with the same metadata
+//   - SHA-256 of the saved file, returned and written to the sidecar
+//
+// Files are written to a tmp name first and renamed, so a crash never
+// leaves a half-written image behind.
+// ============================================================================
+
+import { writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+
+export const OUTPUT_FORMATS = ['original', 'jpeg', 'webp', 'png'];
+
+export const DEFAULT_POST_PROCESSING = {
+  format: 'original',
+  quality: 90,
+  thumbnailEdge: 384,
+  embedMetadata: false,
+  sidecar: true
+};
+
+export const THUMBNAIL_DIR = 'thumbs';
+
+const FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png' },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  webp: { extension: 'webp', mimeType: 'image/webp' },
+  gif: { extension: 'gif', mimeType: 'image/gif' },
+  mp4: { extension: 'mp4', mimeType: 'video/mp4' },
+  webm: { extension: 'webm', mimeType: 'video/webm' }
+};
+
+// Returns a list of problems with config.json postProcessing
+export function checkPostProcessingConfig(options = {}) {
+  const errors = [];
+  const { format, quality, thumbnailEdge, embedMetadata, sidecar } = options;
+
+  if (format !== undefined && !OUTPUT_FORMATS.includes(format)) {
+    errors.push(`postProcessing.format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (quality !== undefined && !(Number.isInteger(quality) && quality >= 50 && quality <= 100)) {
+    errors.push('postProcessing.quality must be an integer between 50 and 100');
+  }
+
+  if (thumbnailEdge !== undefined && !(Number.isInteger(thumbnailEdge) && thumbnailEdge >= 0 && thumbnailEdge <= 1024)) {
+    errors.push('postProcessing.thumbnailEdge must be an integer between 0 (off) and 1024');
+  }
+
+  for (const [key, value] of Object.entries({ embedMetadata, sidecar })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      errors.push(`postProcessing.${key} must be true or false`);
+    }
+  }
+
+  return errors;
+}
+
+// Magic bytes -> { format, extension, mimeType }, null if unknown
+export function detectFormat(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (buffer.length >= 8 && buffer[0] === 0x89 && ascii(1, 4) === 'PNG') return { format: 'png', ...FORMATS.png };
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return { format: 'jpeg', ...FORMATS.jpeg };
+  if (buffer.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return { format: 'webp', ...FORMATS.webp };
+  if (buffer.length >= 6 && ascii(0, 3) === 'GIF') return { format: 'gif', ...FORMATS.gif };
+  if (buffer.length >= 12 && ascii(4, 8) === 'ftyp') return { format: 'mp4', ...FORMATS.mp4 };
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) return { format: 'webm', ...FORMATS.webm };
+
+  return null;
+}
+
+export function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+function writeAtomic(filepath, data) {
+  const tmpPath = `${filepath}.tmp`;
+  writeFileSync(tmpPath, data);
+  renameSync(tmpPath, filepath);
+}
+
+// EXIF strings are ASCII - keep the prompt readable, drop the rest
+function exifText(text, maxLength) {
+  return String(text || '').normalize('NFKD').replace(/[^\x20-\x7e]/g, '').slice(0, maxLength);
+}
+
+// buffer: downloaded image, baseName: file name without extension,
+// metadata: { promptId, prompt, seed, provider, model, size, runId, ... }.
+// Returns { filename, thumbnail, format, width, height, bytes, sha256 }.
+export async function saveGeneratedImage(dir, baseName, buffer, metadata = {}, options = {}) {
+  const { format, quality, thumbnailEdge, embedMetadata, sidecar } = { ...DEFAULT_POST_PROCESSING, ...options };
+
+  const detected = detectFormat(buffer);
+  if (!detected || !['png', 'jpeg', 'webp', 'gif'].includes(detected.format)) {
+    throw new Error(`downloaded file is not an image (${detected?.mimeType || 'unknown format'})`);
+  }
+
+  const target = format === 'original' ? detected.format : format;
+  let output = buffer;
+
+  if (target !== detected.format || embedMetadata) {
+    let pipeline = sharp(buffer);
+
+    if (embedMetadata) {
+      pipeline = pipeline.withExif({
+        IFD0: {
+          ImageDescription: exifText(metadata.prompt, 1000),
+          Software: 'Ladies Manager',
+          Make: exifText(metadata.provider, 100),
+          Model: exifText(metadata.model, 100)
+        },
+        IFD2: {
+          UserComment: exifText(JSON.stringify({ promptId: metadata.promptId, seed: metadata.seed ?? null, runId: metadata.runId ?? null }), 500)
+        }
+      });
+    }
+
+    if (target === 'jpeg') {
+      pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+    } else if (target === 'webp') {
+      pipeline = pipeline.webp({ quality });
+    } else if (target === 'png') {
+      pipeline = pipeline.png({ compressionLevel: 9 });
+    } else {
+      pipeline = pipeline.gif();
+    }
+
+    output = await pipeline.toBuffer();
+  }
+
+  const { extension } = FORMATS[target];
+  const filename = `${baseName}.${extension}`;
+  const info = await sharp(output).metadata();
+  const checksum = sha256(output);
+
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeAtomic(join(dir, filename), output);
+
+  let thumbnail = null;
+  if (thumbnailEdge > 0) {
+    const thumbDir = join(dir, THUMBNAIL_DIR);
+    if (!existsSync(thumbDir)) {
+      mkdirSync(thumbDir, { recursive: true });
+    }
+
+    thumbnail = `${baseName}.webp`;
+    writeAtomic(join(thumbDir, thumbnail), await sharp(output)
+      .resize({ width: thumbnailEdge, height: thumbnailEdge, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer());
+  }
+
+  const saved = {
+    filename,
+    thumbnail,
+    format: target,
+    originalFormat: detected.format,
+    width: info.width,
+    height: info.height,
+    bytes: output.length,
+    sha256: checksum
+  };
+
+  if (sidecar) {
+    writeSidecar(dir, baseName, metadata, saved);
+  }
+
+  return saved;
+}
+
+// <dir>/<baseName>.json next to a generated file (images and videos)
+export function writeSidecar(dir, baseName, metadata, file) {
+  writeAtomic(join(dir, `${baseName}.json`), JSON.stringify({
+    ...metadata,
+    file,
+    savedAt: new Date().toISOString()
+  }, null, 2));
+}
@@ -0,0 +1,102 @@
+// ============================================================================
+// Ladies Manager - Image Preprocessing
+// ============================================================================
+// Reference images and Prompt_Images pass through here before they reach
+// Gemini or a provider (config.json imageProcessing):
+//
+//   - auto-orient from the EXIF orientation (phone photos)
+//   - downsize to maxEdge px on the longer edge (never upscaled)
+//   - re-encode as jpeg / png / webp ("auto" keeps png and webp, everything
+//     else becomes jpeg); transparency is flattened onto white for jpeg
+//   - metadata (EXIF, GPS, ICC, XMP) is dropped by re-encoding
+//
+// Input that is not a decodable image fails with a readable error.
+// ============================================================================
+
+import sharp from 'sharp';
+import { createHash } from 'crypto';
+
+export const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'auto'];
+
+export const DEFAULT_IMAGE_PROCESSING = {
+  enabled: true,
+  maxEdge: 2048,
+  format: 'jpeg',
+  quality: 90
+};
+
+const MIN_EDGE = 64;
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Returns a list of problems with config.json imageProcessing
+export function checkImageProcessingConfig(options = {}) {
+  const errors = [];
+  const { enabled, maxEdge, format, quality } = options;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('imageProcessing.enabled must be true or false');
+  }
+
+  if (maxEdge !== undefined && !(Number.isInteger(maxEdge) && maxEdge >= 256 && maxEdge <= 8192)) {
+    errors.push('imageProcessing.maxEdge must be an integer between 256 and 8192');
+  }
+
+  if (format !== undefined && !OUTPUT_FORMATS.includes(format)) {
+    errors.push(`imageProcessing.format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (quality !== undefined && !(Number.isInteger(quality) && quality >= 50 && quality <= 100)) {
+    errors.push('imageProcessing.quality must be an integer between 50 and 100');
+  }
+
+  return errors;
+}
+
+// image: { buffer, mimeType }
+//   -> { buffer, mimeType, hash, width, height, original: { width, height, bytes } }
+export async function preprocessImage(image, options = {}) {
+  const { maxEdge, format, quality } = { ...DEFAULT_IMAGE_PROCESSING, ...options };
+
+  let metadata;
+  try {
+    metadata = await sharp(image.buffer).metadata();
+  } catch (error) {
+    throw new Error(`not a supported image (${image.mimeType || 'unknown type'})`);
+  }
+
+  if (Math.min(metadata.width, metadata.height) < MIN_EDGE) {
+    throw new Error(`image too small (${metadata.width}x${metadata.height}, at least ${MIN_EDGE}px per edge)`);
+  }
+
+  const target = format === 'auto'
+    ? (['png', 'webp'].includes(metadata.format) ? metadata.format : 'jpeg')
+    : format;
+
+  let pipeline = sharp(image.buffer)
+    .rotate()
+    .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+
+  if (target === 'jpeg') {
+    pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+  } else if (target === 'webp') {
+    pipeline = pipeline.webp({ quality });
+  } else {
+    pipeline = pipeline.png({ compressionLevel: 9 });
+  }
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    mimeType: MIME_TYPES[target],
+    hash: createHash('sha256').update(data).digest('hex'),
+    width: info.width,
+    height: info.height,
+    original: { width: metadata.width, height: metadata.height, bytes: image.buffer.length }
+  };
+}
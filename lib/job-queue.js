@@ -0,0 +1,208 @@
+// ============================================================================
+// Ladies Manager - Job Queue
+// ============================================================================
+// Durable per-record job queue in <dataDir>/queue.json (queue-<name>.json
+// for the file data source). The processor fills it from the data source and
+// drains it; the file survives crashes and restarts.
+//
+// Job: { id (record id), state, attempts, nextEligibleAt, lastError,
+//        completed: ['images', 'video'], createdAt, updatedAt, lastRunId }
+//
+// States:
+//   queued   - waiting, eligible once nextEligibleAt has passed
+//   running  - claimed by a processor (reset to queued after a crash)
+//   done     - all requested work finished, never picked up again
+//   dead     - gave up after maxAttempts (or a permanent error such as
+//              invalid record settings), needs a manual requeue
+//
+// Work is tracked per stage, so a record finished without video is queued
+// again when a later run asks for video.
+// ============================================================================
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+export const JOB_STATES = ['queued', 'running', 'done', 'dead'];
+
+const DEFAULTS = {
+  maxAttempts: 5,
+  retryBaseMinutes: 5,
+  retryMaxMinutes: 240
+};
+
+export class JobQueue {
+  constructor(filepath, options = {}) {
+    this.filepath = filepath;
+    this.options = { ...DEFAULTS, ...options };
+    this.jobs = new Map();
+    this.load();
+  }
+
+  load() {
+    this.jobs.clear();
+
+    if (!existsSync(this.filepath)) {
+      return;
+    }
+
+    const data = JSON.parse(readFileSync(this.filepath, 'utf-8'));
+    for (const job of data.jobs || []) {
+      this.jobs.set(job.id, job);
+    }
+  }
+
+  save() {
+    const dir = dirname(this.filepath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.filepath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ jobs: [...this.jobs.values()] }, null, 2));
+    renameSync(tmpPath, this.filepath);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Jobs left "running" by a crashed processor become eligible again
+  recoverStale() {
+    let recovered = 0;
+
+    for (const job of this.jobs.values()) {
+      if (job.state === 'running') {
+        this.update(job, { state: 'queued', nextEligibleAt: null });
+        recovered++;
+      }
+    }
+
+    if (recovered > 0) {
+      this.save();
+    }
+
+    return recovered;
+  }
+
+  // work: stages this run wants done for the record, e.g. ['images', 'video']
+  wouldRun(id, work, now = new Date()) {
+    const job = this.jobs.get(id);
+
+    if (!job) return true;
+    if (job.state === 'dead' || job.state === 'running') return false;
+    if (work.every(stage => job.completed.includes(stage))) return false;
+
+    return !job.nextEligibleAt || new Date(job.nextEligibleAt) <= now;
+  }
+
+  // Adds or reopens a job; returns the job (dead jobs stay dead)
+  enqueue(id, work) {
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      const created = {
+        id,
+        state: 'queued',
+        attempts: 0,
+        nextEligibleAt: null,
+        lastError: null,
+        completed: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        lastRunId: null
+      };
+      this.jobs.set(id, created);
+      return created;
+    }
+
+    if (job.state === 'done' && !work.every(stage => job.completed.includes(stage))) {
+      this.update(job, { state: 'queued', attempts: 0, nextEligibleAt: null, lastError: null });
+    }
+
+    return job;
+  }
+
+  claim(id, runId = null) {
+    const job = this.jobs.get(id);
+    this.update(job, { state: 'running', attempts: job.attempts + 1, lastRunId: runId });
+    this.save();
+    return job;
+  }
+
+  complete(id, stages) {
+    const job = this.jobs.get(id);
+    const completed = [...new Set([...job.completed, ...stages])];
+    this.update(job, { state: 'done', nextEligibleAt: null, lastError: null, completed });
+    this.save();
+    return job;
+  }
+
+  // Records finished stages (e.g. images) even when a later stage failed.
+  // permanent: retrying cannot help, dead-letter right away
+  fail(id, error, stages = [], { permanent = false } = {}) {
+    const job = this.jobs.get(id);
+    const completed = [...new Set([...job.completed, ...stages])];
+
+    if (permanent || job.attempts >= this.options.maxAttempts) {
+      this.update(job, { state: 'dead', nextEligibleAt: null, lastError: error, completed });
+    } else {
+      this.update(job, {
+        state: 'queued',
+        nextEligibleAt: new Date(Date.now() + this.retryDelayMs(job.attempts)).toISOString(),
+        lastError: error,
+        completed
+      });
+    }
+
+    this.save();
+    return job;
+  }
+
+  // Claimed but never started (run cancelled, circuit breaker) - not an attempt
+  release(id) {
+    const job = this.jobs.get(id);
+    this.update(job, { state: 'queued', attempts: Math.max(0, job.attempts - 1) });
+    this.save();
+    return job;
+  }
+
+  requeue(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    this.update(job, { state: 'queued', attempts: 0, nextEligibleAt: null, lastError: null, completed: [] });
+    this.save();
+    return job;
+  }
+
+  retryDelayMs(attempts) {
+    const { retryBaseMinutes, retryMaxMinutes } = this.options;
+    const minutes = Math.min(retryBaseMinutes * 2 ** Math.max(0, attempts - 1), retryMaxMinutes);
+    return minutes * 60 * 1000;
+  }
+
+  update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+  }
+
+  list({ state = null, limit = 100 } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !state || job.state === state)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit);
+  }
+
+  stats(now = new Date()) {
+    const counts = { queued: 0, waiting: 0, running: 0, done: 0, dead: 0 };
+
+    for (const job of this.jobs.values()) {
+      if (job.state === 'queued' && job.nextEligibleAt && new Date(job.nextEligibleAt) > now) {
+        counts.waiting++;
+      } else {
+        counts[job.state]++;
+      }
+    }
+
+    return counts;
+  }
+}
@@ -0,0 +1,113 @@
+// ============================================================================
+// Ladies Manager - Personas
+// ============================================================================
+// A persona is one character: its own face/body reference images plus
+// defaults for the records linked to it. Loaded from the data source
+// (Airtable Personas table or personas.json):
+//
+//   { id, name, faceReference: [{ url }], bodyReference: [{ url }],
+//     imageSize, numImages, styleSuffix }
+//
+// Records point to a persona through the Generation "Persona" field: a
+// linked record (Airtable returns record ids) or a plain persona name.
+// Records without a persona use the Configuration references and settings.
+// ============================================================================
+
+const SIZE_PATTERN = /^\d{3,4}x\d{3,4}$/;
+
+export class PersonaSet {
+  constructor(personas = []) {
+    this.byId = new Map();
+    this.byName = new Map();
+    this.warnings = [];
+
+    for (const persona of personas) {
+      const cleaned = this.normalize(persona);
+      this.byId.set(cleaned.id, cleaned);
+      this.byName.set(cleaned.name.toLowerCase(), cleaned);
+    }
+  }
+
+  get size() {
+    return this.byId.size;
+  }
+
+  list() {
+    return [...this.byId.values()];
+  }
+
+  // Invalid defaults are dropped with a warning, the persona stays usable
+  normalize(persona) {
+    const name = String(persona.name || persona.id).trim();
+    const cleaned = {
+      id: persona.id,
+      name,
+      faceReference: persona.faceReference || [],
+      bodyReference: persona.bodyReference || [],
+      imageSize: persona.imageSize || null,
+      numImages: persona.numImages || null,
+      styleSuffix: persona.styleSuffix ? String(persona.styleSuffix).trim() : null
+    };
+
+    if (cleaned.imageSize && !SIZE_PATTERN.test(cleaned.imageSize)) {
+      this.warnings.push(`Persona ${name}: invalid image size "${cleaned.imageSize}", using the default`);
+      cleaned.imageSize = null;
+    }
+
+    if (cleaned.numImages && !(Number.isInteger(cleaned.numImages) && cleaned.numImages >= 1 && cleaned.numImages <= 6)) {
+      this.warnings.push(`Persona ${name}: invalid image count ${cleaned.numImages}, using the default`);
+      cleaned.numImages = null;
+    }
+
+    return cleaned;
+  }
+
+  // value: Persona field of a record - [recordId] from a link field or a name.
+  // Returns null for records without a persona, throws for unknown ones.
+  resolve(value) {
+    const key = Array.isArray(value) ? value[0] : value;
+    if (key === undefined || key === null || String(key).trim() === '') {
+      return null;
+    }
+
+    const text = String(key).trim();
+    const persona = this.byId.get(text) || this.byName.get(text.toLowerCase());
+
+    if (!persona) {
+      throw new Error(`Unknown persona "${text}"`);
+    }
+    return persona;
+  }
+
+  // Keeps the fetch order but puts records of the same persona next to each
+  // other, so each persona's references are prepared once and reused
+  // while they are hot. Returns [{ persona, records }] in first-seen order.
+  group(records, field) {
+    const groups = new Map();
+
+    for (const record of records) {
+      let persona = null;
+      try {
+        persona = this.resolve(record.fields[field]);
+      } catch (error) {
+        // Unknown personas fail per record in processPrompt
+      }
+
+      const key = persona?.id || '';
+      if (!groups.has(key)) {
+        groups.set(key, { persona, records: [] });
+      }
+      groups.get(key).records.push(record);
+    }
+
+    return [...groups.values()];
+  }
+}
+
+// Appends the persona style to an image prompt ("..., cinematic lighting")
+export function withStyleSuffix(prompt, styleSuffix) {
+  if (!styleSuffix || !prompt || prompt.includes(styleSuffix)) {
+    return prompt;
+  }
+  return `${prompt.trim().replace(/[,.\s]+$/, '')}, ${styleSuffix}`;
+}
@@ -0,0 +1,315 @@
+// ============================================================================
+// Provider: FAL.ai Seedream (images) + Kling (videos)
+// ============================================================================
+// Uses FAL's queue API: the request is submitted (returns immediately with a
+// request id), then its status is polled with backoff until it completes.
+// hooks.onSubmitted(request) lets the caller persist the request so that a
+// crashed run can pass it back as hooks.resume and keep polling instead of
+// submitting (and paying for) the same work again.
+//
+// Reference images are uploaded to FAL's file storage (uploadFile) so the
+// queue requests carry short CDN URLs instead of multi-MB data URIs.
+// ============================================================================
+
+const QUEUE_BASE_URL = 'https://queue.fal.run';
+const STORAGE_INITIATE_URL = 'https://rest.alpha.fal.ai/storage/upload/initiate?storage_type=fal-cdn-v3';
+const IMAGE_MODEL = 'fal-ai/bytedance/seedream/v4/edit';
+const VIDEO_MODEL = 'fal-ai/kling-video/v2.5-turbo/pro/image-to-video';
+
+const POLL_INITIAL_MS = 2000;
+const POLL_MAX_MS = 15000;
+const POLL_BACKOFF = 1.5;
+const IMAGE_MAX_WAIT_MS = 10 * 60 * 1000;
+const VIDEO_MAX_WAIT_MS = 20 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class FalSeedreamProvider {
+  static id = 'fal-seedream';
+
+  static capabilities = {
+    maxImages: 6,
+    minSize: 1024,
+    maxSize: 4096,
+    nsfw: true,
+    maxReferenceImages: 10,
+    video: true,
+    videoDurations: [5, 10]
+  };
+
+  static models = {
+    image: IMAGE_MODEL,
+    video: VIDEO_MODEL
+  };
+
+  // deps: { apiKey, agent, uploadLimiter }
+  constructor({ apiKey, agent = null, uploadLimiter = null }) {
+    if (!apiKey) {
+      throw new Error('FAL_API_KEY not found in Airtable Configuration');
+    }
+
+    this.apiKey = apiKey;
+    this.agent = agent;
+    this.uploadLimiter = uploadLimiter;
+    this.capabilities = FalSeedreamProvider.capabilities;
+    this.models = FalSeedreamProvider.models;
+  }
+
+  getName() {
+    return 'FAL.ai Seedream';
+  }
+
+  async generate(config, hooks = {}) {
+    const { prompt, refImageUrls, numImages, enableNSFW, size } = config;
+
+    if (hooks.resume) {
+      console.log(`[FAL] Resuming request ${hooks.resume.requestId}...`);
+      const result = await this.resumeOrNull(hooks.resume, 'FAL', IMAGE_MAX_WAIT_MS);
+      if (result) {
+        return this.extractImages(result);
+      }
+    }
+
+    console.log(`[FAL] Generating ${numImages} images...`);
+
+    // Parse size
+    const [width, height] = size.split('x').map(Number);
+
+    const requestBody = {
+      prompt: prompt,
+      image_urls: refImageUrls,
+      num_images: numImages,
+      image_size: { width, height },
+      enable_safety_checker: !enableNSFW
+    };
+
+    // Calculate payload size
+    const payloadSizeKB = Math.round(JSON.stringify(requestBody).length / 1024);
+    console.log(`[FAL] Uploading ${payloadSizeKB}KB payload...`);
+
+    const request = await this.submit(IMAGE_MODEL, requestBody, 'FAL', true);
+    await hooks.onSubmitted?.(request);
+
+    const result = await this.waitForResult(request, 'FAL', IMAGE_MAX_WAIT_MS);
+    return this.extractImages(result);
+  }
+
+  extractImages(result) {
+    const images = result.images || [];
+
+    if (images.length === 0) {
+      throw new Error('FAL returned no images');
+    }
+
+    console.log(`[FAL] ✅ Generated ${images.length} images`);
+    // Seedream reports one seed per request
+    return images.map(image => ({ ...image, seed: image.seed ?? result.seed ?? null }));
+  }
+
+  async generateVideo(config, hooks = {}) {
+    const { imageUrl, prompt, duration, cfgScale, negativePrompt } = config;
+
+    if (hooks.resume) {
+      console.log(`[FAL Video] Resuming request ${hooks.resume.requestId}...`);
+      const result = await this.resumeOrNull(hooks.resume, 'FAL Video', VIDEO_MAX_WAIT_MS);
+      if (result) {
+        return this.extractVideo(result);
+      }
+    }
+
+    console.log(`[FAL Video] Generating video...`);
+
+    const request = await this.submit(VIDEO_MODEL, {
+      image_url: imageUrl,
+      prompt: prompt,
+      duration: duration.toString(),
+      cfg_scale: cfgScale ?? 0.5,
+      negative_prompt: negativePrompt || "blur, distort, low quality"
+    }, 'FAL Video', false);
+    await hooks.onSubmitted?.(request);
+
+    const result = await this.waitForResult(request, 'FAL Video', VIDEO_MAX_WAIT_MS);
+    return this.extractVideo(result);
+  }
+
+  extractVideo(result) {
+    const videoUrl = result.video?.url;
+
+    if (!videoUrl) {
+      throw new Error('FAL returned no video URL');
+    }
+
+    console.log(`[FAL Video] ✅ Generated video`);
+    return { url: videoUrl };
+  }
+
+  // ==========================================================================
+  // FILE STORAGE
+  // ==========================================================================
+
+  // file: { buffer, mimeType, name } -> public URL usable in image_urls
+  async uploadFile({ buffer, mimeType, name }) {
+    const contentType = mimeType || 'application/octet-stream';
+
+    const initResponse = await fetch(STORAGE_INITIATE_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Key ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ content_type: contentType, file_name: name }),
+      agent: this.agent,
+      signal: AbortSignal.timeout(30000)
+    });
+
+    if (!initResponse.ok) {
+      const errorText = await initResponse.text();
+      throw new Error(`FAL storage error ${initResponse.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    const { upload_url: uploadUrl, file_url: fileUrl } = await initResponse.json();
+
+    if (!uploadUrl || !fileUrl) {
+      throw new Error('FAL storage returned no upload URL');
+    }
+
+    const options = {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      body: buffer,
+      agent: this.agent,
+      signal: AbortSignal.timeout(120000)
+    };
+
+    const uploadResponse = this.uploadLimiter
+      ? await this.uploadLimiter.wrapFetch(uploadUrl, options)
+      : await fetch(uploadUrl, options);
+
+    if (!uploadResponse.ok) {
+      throw new Error(`FAL storage upload failed with ${uploadResponse.status}`);
+    }
+
+    return fileUrl;
+  }
+
+  // ==========================================================================
+  // QUEUE API
+  // ==========================================================================
+
+  async submit(model, body, label, useUploadLimiter) {
+    const url = `${QUEUE_BASE_URL}/${model}`;
+    const options = {
+      method: 'POST',
+      headers: {
+        'Authorization': `Key ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      agent: this.agent,
+      signal: AbortSignal.timeout(120000)
+    };
+
+    // Use upload limiter if available (image payloads carry the references)
+    const response = useUploadLimiter && this.uploadLimiter
+      ? await this.uploadLimiter.wrapFetch(url, options)
+      : await fetch(url, options);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${label} API error ${response.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.request_id) {
+      throw new Error(`${label} queue returned no request id`);
+    }
+
+    console.log(`[${label}] Queued request ${data.request_id}`);
+
+    return {
+      requestId: data.request_id,
+      statusUrl: data.status_url,
+      responseUrl: data.response_url,
+      submittedAt: new Date().toISOString()
+    };
+  }
+
+  // Polls until COMPLETED, then fetches the result. Network hiccups while
+  // polling are retried - the work is already paid for.
+  async waitForResult(request, label, maxWaitMs) {
+    const deadline = Date.now() + maxWaitMs;
+    let delay = POLL_INITIAL_MS;
+    let lastStatus = null;
+
+    while (Date.now() < deadline) {
+      await sleep(delay);
+      delay = Math.min(delay * POLL_BACKOFF, POLL_MAX_MS);
+
+      let response;
+      try {
+        response = await this.queueFetch(request.statusUrl);
+      } catch (error) {
+        console.log(`[${label}] ⚠️ Status check failed (${error.message}), retrying...`);
+        continue;
+      }
+
+      if (response.status === 404) {
+        throw new Error(`${label} request ${request.requestId} not found (404)`);
+      }
+
+      if (!response.ok) {
+        console.log(`[${label}] ⚠️ Status check returned ${response.status}, retrying...`);
+        continue;
+      }
+
+      const status = await response.json();
+
+      if (status.status !== lastStatus) {
+        lastStatus = status.status;
+        const position = status.queue_position !== undefined ? ` (queue position ${status.queue_position})` : '';
+        console.log(`[${label}] ${request.requestId}: ${status.status}${position}`);
+      }
+
+      if (status.status === 'COMPLETED') {
+        return await this.fetchResult(request, label);
+      }
+    }
+
+    throw new Error(`${label} polling timeout after ${Math.round(maxWaitMs / 60000)} min (request ${request.requestId} still pending)`);
+  }
+
+  async fetchResult(request, label) {
+    const response = await this.queueFetch(request.responseUrl);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${label} API error ${response.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    return await response.json();
+  }
+
+  // A stored request may have expired - then the caller submits a new one
+  async resumeOrNull(request, label, maxWaitMs) {
+    try {
+      return await this.waitForResult(request, label, maxWaitMs);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        console.log(`[${label}] ⚠️ Stored request expired, submitting a new one`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  queueFetch(url) {
+    return fetch(url, {
+      headers: { 'Authorization': `Key ${this.apiKey}` },
+      agent: this.agent,
+      signal: AbortSignal.timeout(30000)
+    });
+  }
+}
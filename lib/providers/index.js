@@ -0,0 +1,93 @@
+// ============================================================================
+// Ladies Manager - Image/Video Provider Registry
+// ============================================================================
+// Provider contract (see fal-seedream.js / mock.js):
+//
+//   static id             - registry key, used in run options / Airtable
+//   static capabilities   - { maxImages, minSize, maxSize, nsfw,
+//                             maxReferenceImages, video, videoDurations }
+//   static models         - { image, video } model names (file metadata)
+//   constructor(deps)     - deps: { apiKey, agent, uploadLimiter }
+//   getName()             - display name for logs
+//   async generate({ prompt, refImageUrls, numImages, enableNSFW, size }, hooks)
+//                         -> [{ url, seed?, ... }]
+//   async generateVideo({ imageUrl, prompt, duration, cfgScale, negativePrompt }, hooks)
+//                         -> { url }
+//   async uploadFile({ buffer, mimeType, name }) -> url    (optional)
+//                         - hosts a reference image for refImageUrls;
+//                           without it references are sent as data URIs
+//
+// hooks (optional, ignored by synchronous providers):
+//   resume                - request object from an earlier onSubmitted call;
+//                           poll it instead of submitting new work
+//   onSubmitted(request)  - called once work is queued, request is a plain
+//                           object ({ requestId, ... }) safe to JSON-store
+// ============================================================================
+
+import { FalSeedreamProvider } from './fal-seedream.js';
+import { MockProvider } from './mock.js';
+
+export const DEFAULT_PROVIDER = FalSeedreamProvider.id;
+
+const REGISTRY = new Map([
+  [FalSeedreamProvider.id, FalSeedreamProvider],
+  [MockProvider.id, MockProvider]
+]);
+
+export const PROVIDER_IDS = [...REGISTRY.keys()];
+
+export function hasProvider(id) {
+  return REGISTRY.has(id);
+}
+
+export function createProvider(id, deps = {}) {
+  const Provider = REGISTRY.get(id);
+
+  if (!Provider) {
+    throw new Error(`Unknown provider "${id}" (available: ${PROVIDER_IDS.join(', ')})`);
+  }
+
+  const provider = new Provider(deps);
+  provider.id = id;
+  return provider;
+}
+
+// "2048x1152" -> { width, height }, null for anything else
+export function parseImageSize(size) {
+  const match = typeof size === 'string' && size.match(/^(\d{2,5})x(\d{2,5})$/);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+export function getCapabilities(id) {
+  return REGISTRY.get(id)?.capabilities || null;
+}
+
+// Returns a list of problems with a generation request for this provider
+export function checkCapabilities(capabilities, { numImages, size, enableNSFW, enableVideo, videoDuration }) {
+  const errors = [];
+
+  if (numImages > capabilities.maxImages) {
+    errors.push(`supports at most ${capabilities.maxImages} images per prompt (requested ${numImages})`);
+  }
+
+  if (size) {
+    const parsed = parseImageSize(size);
+    if (!parsed) {
+      errors.push(`cannot use size "${size}" (expected WIDTHxHEIGHT, e.g. 2048x2048)`);
+    } else if ([parsed.width, parsed.height].some(edge => edge < capabilities.minSize || edge > capabilities.maxSize)) {
+      errors.push(`size ${size} outside ${capabilities.minSize}-${capabilities.maxSize} px`);
+    }
+  }
+
+  if (enableNSFW && !capabilities.nsfw) {
+    errors.push('does not support NSFW content');
+  }
+
+  if (enableVideo && !capabilities.video) {
+    errors.push('does not support video generation');
+  } else if (enableVideo && !capabilities.videoDurations.includes(videoDuration)) {
+    errors.push(`supports video durations ${capabilities.videoDurations.join('/')}s only`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,164 @@
+// ============================================================================
+// Provider: Local Mock (offline testing)
+// ============================================================================
+// Returns deterministic placeholder images as data: URLs - the same prompt,
+// size and index always produce the same solid-colour PNG. No network, no
+// cost. Images are scaled down to MAX_EDGE px to keep memory use small.
+// The "video" is an MP4 container without frames (ftyp box + the prompt
+// hash in a free box): it passes the file checks but does not play.
+// ============================================================================
+
+import { createHash } from 'crypto';
+import { deflateSync } from 'zlib';
+
+const MAX_EDGE = 256;
+const MOCK_DELAY_MS = 200;
+
+export class MockProvider {
+  static id = 'mock';
+
+  static capabilities = {
+    maxImages: 6,
+    minSize: 256,
+    maxSize: 4096,
+    nsfw: true,
+    maxReferenceImages: 10,
+    video: true,
+    videoDurations: [5, 10]
+  };
+
+  static models = {
+    image: 'mock-solid-png',
+    video: 'mock-placeholder'
+  };
+
+  constructor() {
+    this.capabilities = MockProvider.capabilities;
+    this.models = MockProvider.models;
+  }
+
+  getName() {
+    return 'Local Mock';
+  }
+
+  async generate(config) {
+    const { prompt, numImages, size } = config;
+
+    console.log(`[Mock] Generating ${numImages} placeholder images...`);
+    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY_MS));
+
+    const [width, height] = size.split('x').map(Number);
+    const scale = Math.min(1, MAX_EDGE / Math.max(width, height));
+    const images = [];
+
+    for (let i = 0; i < numImages; i++) {
+      const seed = createHash('sha256').update(`${prompt}|${size}|${i}`).digest();
+      const png = createSolidPng(
+        Math.max(1, Math.round(width * scale)),
+        Math.max(1, Math.round(height * scale)),
+        [seed[0], seed[1], seed[2]]
+      );
+
+      images.push({
+        url: `data:image/png;base64,${png.toString('base64')}`,
+        content_type: 'image/png',
+        seed: seed.readUInt32BE(4)
+      });
+    }
+
+    console.log(`[Mock] ✅ Generated ${images.length} images`);
+    return images;
+  }
+
+  async generateVideo(config) {
+    const { prompt, duration } = config;
+
+    console.log(`[Mock Video] Generating placeholder video...`);
+    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY_MS));
+
+    const payload = createPlaceholderMp4(`MOCK VIDEO ${duration}s ${createHash('sha256').update(String(prompt)).digest('hex')}`);
+
+    console.log(`[Mock Video] ✅ Generated video`);
+    return { url: `data:video/mp4;base64,${payload.toString('base64')}` };
+  }
+}
+
+// ============================================================================
+// PLACEHOLDER MP4 (boxes only, no tracks)
+// ============================================================================
+
+function createPlaceholderMp4(text) {
+  const ftyp = mp4Box('ftyp', Buffer.concat([
+    Buffer.from('isom', 'ascii'),
+    Buffer.from([0, 0, 0x02, 0x00]), // minor version
+    Buffer.from('isommp41', 'ascii') // compatible brands
+  ]));
+
+  return Buffer.concat([ftyp, mp4Box('free', Buffer.from(text))]);
+}
+
+function mp4Box(type, data) {
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(8 + data.length);
+  return Buffer.concat([size, Buffer.from(type, 'ascii'), data]);
+}
+
+// ============================================================================
+// MINIMAL PNG ENCODER (RGB, solid colour)
+// ============================================================================
+
+function createSolidPng(width, height, [r, g, b]) {
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) {
+    row[1 + x * 3] = r;
+    row[2 + x * 3] = g;
+    row[3 + x * 3] = b;
+  }
+
+  const raw = Buffer.concat(Array(height).fill(row));
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 2;  // colour type RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+
+  return Buffer.concat([length, body, crc]);
+}
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
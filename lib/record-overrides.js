@@ -0,0 +1,149 @@
+// ============================================================================
+// Ladies Manager - Per-record Overrides
+// ============================================================================
+// Optional Generation fields that replace the run settings for a single
+// record (a wide banner, a one-off 10s video, ...). Field names come from
+// config.json airtable.overrideFields; a field mapped to null is not read.
+//
+// Values are validated with the same rules the processor applies to the
+// Configuration; an invalid value fails the record with a readable error
+// instead of silently falling back.
+//
+// Precedence per setting: run options > record > persona > Configuration.
+// ============================================================================
+
+const SIZE_PATTERN = /^(\d{3,4})x(\d{3,4})$/;
+const RATIO_PATTERN = /^(\d{1,2}):(\d{1,2})$/;
+const MAX_ASPECT_RATIO = 4;
+const VIDEO_DURATIONS = [5, 10];
+const MAX_NEGATIVE_PROMPT = 500;
+
+// Suggested column names (Airtable mapping and file data source default)
+export const OVERRIDE_FIELD_NAMES = {
+  numImages: 'num_images',
+  imageSize: 'Image_Size',
+  aspectRatio: 'Aspect_Ratio',
+  enableNSFW: 'Enable_NSFW',
+  enableVideo: 'Enable_Video',
+  videoDuration: 'Video_Duration',
+  videoCfgScale: 'Video_CFG_Scale',
+  negativePrompt: 'Negative_Prompt'
+};
+
+// Checkbox, number or text ("yes", "false", "1") -> true / false / null
+export function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'ja', '1', 'on', 'x'].includes(text)) return true;
+  if (['false', 'no', 'nein', '0', 'off'].includes(text)) return false;
+  return undefined;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(',', '.');
+  return text === '' ? NaN : Number(text);
+}
+
+// recordFields: fields of one record, names: overrideFields mapping.
+// Returns { overrides, errors } - overrides only holds fields that are set.
+export function readOverrides(recordFields, names) {
+  const overrides = {};
+  const errors = [];
+
+  const read = (key) => {
+    const name = names[key];
+    const value = name ? recordFields[name] : undefined;
+    return value === undefined || value === null || value === '' ? undefined : value;
+  };
+
+  const numImages = read('numImages');
+  if (numImages !== undefined) {
+    const count = parseNumber(numImages);
+    if (Number.isInteger(count) && count >= 1 && count <= 6) {
+      overrides.numImages = count;
+    } else {
+      errors.push(`${names.numImages} must be a whole number between 1 and 6 (got "${numImages}")`);
+    }
+  }
+
+  const imageSize = read('imageSize');
+  if (imageSize !== undefined) {
+    if (SIZE_PATTERN.test(String(imageSize).trim())) {
+      overrides.imageSize = String(imageSize).trim();
+    } else {
+      errors.push(`${names.imageSize} must look like 2048x1152 (got "${imageSize}")`);
+    }
+  }
+
+  const aspectRatio = read('aspectRatio');
+  if (aspectRatio !== undefined) {
+    const match = String(aspectRatio).trim().match(RATIO_PATTERN);
+    const ratio = match && Number(match[1]) / Number(match[2]);
+    if (ratio && ratio <= MAX_ASPECT_RATIO && ratio >= 1 / MAX_ASPECT_RATIO) {
+      overrides.aspectRatio = String(aspectRatio).trim();
+    } else {
+      errors.push(`${names.aspectRatio} must be a ratio like 16:9 between 1:${MAX_ASPECT_RATIO} and ${MAX_ASPECT_RATIO}:1 (got "${aspectRatio}")`);
+    }
+  }
+
+  for (const key of ['enableNSFW', 'enableVideo']) {
+    const value = read(key);
+    if (value !== undefined) {
+      const flag = parseBoolean(value);
+      if (flag === undefined) {
+        errors.push(`${names[key]} must be yes/no (got "${value}")`);
+      } else {
+        overrides[key] = flag;
+      }
+    }
+  }
+
+  const videoDuration = read('videoDuration');
+  if (videoDuration !== undefined) {
+    const seconds = parseNumber(videoDuration);
+    if (VIDEO_DURATIONS.includes(seconds)) {
+      overrides.videoDuration = seconds;
+    } else {
+      errors.push(`${names.videoDuration} must be ${VIDEO_DURATIONS.join(' or ')} (got "${videoDuration}")`);
+    }
+  }
+
+  const videoCfgScale = read('videoCfgScale');
+  if (videoCfgScale !== undefined) {
+    const scale = parseNumber(videoCfgScale);
+    if (scale >= 0 && scale <= 1) {
+      overrides.videoCfgScale = scale;
+    } else {
+      errors.push(`${names.videoCfgScale} must be between 0 and 1 (got "${videoCfgScale}")`);
+    }
+  }
+
+  const negativePrompt = read('negativePrompt');
+  if (negativePrompt !== undefined) {
+    const text = String(negativePrompt).trim();
+    if (text.length <= MAX_NEGATIVE_PROMPT) {
+      overrides.negativePrompt = text;
+    } else {
+      errors.push(`${names.negativePrompt} is longer than ${MAX_NEGATIVE_PROMPT} characters`);
+    }
+  }
+
+  return { overrides, errors };
+}
+
+// Keeps the longer edge of size and fits the other one to the ratio,
+// rounded to a multiple of 16: ("2048x2048", "16:9") -> "2048x1152"
+export function applyAspectRatio(size, aspectRatio) {
+  const [, width, height] = size.match(SIZE_PATTERN).map(Number);
+  const [, ratioWidth, ratioHeight] = aspectRatio.match(RATIO_PATTERN).map(Number);
+  const longEdge = Math.max(width, height);
+  const round = (edge) => Math.round(edge / 16) * 16;
+
+  return ratioWidth >= ratioHeight
+    ? `${longEdge}x${round(longEdge * ratioHeight / ratioWidth)}`
+    : `${round(longEdge * ratioWidth / ratioHeight)}x${longEdge}`;
+}
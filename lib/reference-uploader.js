@@ -0,0 +1,86 @@
+// ============================================================================
+// Ladies Manager - Reference Uploader
+// ============================================================================
+// Turns reference images ({ buffer, mimeType, hash } from the image cache)
+// into the URLs a provider receives in refImageUrls. Providers with
+// uploadFile() get each image uploaded once per run - every prompt using
+// the same reference reuses the hosted URL. Providers without it, or when
+// an upload fails, get an inline data URI as before.
+//
+// After a failed upload the provider stays on data URIs for the rest of the
+// run instead of retrying (and timing out) for every prompt.
+// ============================================================================
+
+import { createHash } from 'crypto';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+export function toDataUri(image, fallbackType = 'image/png') {
+  return `data:${image.mimeType || fallbackType};base64,${Buffer.from(image.buffer).toString('base64')}`;
+}
+
+export class ReferenceUploader {
+  constructor({ enabled = true } = {}) {
+    this.enabled = enabled;
+    this.urls = new Map();
+    this.disabledProviders = new Set();
+    this.stats = { uploaded: 0, reused: 0, inlined: 0, failed: 0, bytesUploaded: 0 };
+  }
+
+  // provider: created provider (id, getName(), optional uploadFile)
+  async urlFor(provider, image) {
+    if (!this.enabled || typeof provider.uploadFile !== 'function' || this.disabledProviders.has(provider.id)) {
+      this.stats.inlined++;
+      return toDataUri(image);
+    }
+
+    const hash = image.hash || createHash('sha256').update(Buffer.from(image.buffer)).digest('hex');
+    const key = `${provider.id}:${hash}`;
+
+    if (this.urls.has(key)) {
+      // May still be in flight and end up inline after a failed upload
+      const url = await this.urls.get(key);
+      this.stats[url.startsWith('data:') ? 'inlined' : 'reused']++;
+      return url;
+    }
+
+    const pending = this.upload(provider, image, hash, key);
+    this.urls.set(key, pending);
+    return await pending;
+  }
+
+  async upload(provider, image, hash, key) {
+    const extension = EXTENSIONS[image.mimeType] || 'bin';
+
+    try {
+      const url = await provider.uploadFile({
+        buffer: Buffer.from(image.buffer),
+        mimeType: image.mimeType,
+        name: `reference-${hash.slice(0, 16)}.${extension}`
+      });
+
+      this.stats.uploaded++;
+      this.stats.bytesUploaded += image.buffer.byteLength;
+      return url;
+    } catch (error) {
+      if (!this.disabledProviders.has(provider.id)) {
+        console.log(`⚠️ ${provider.getName()} upload failed (${error.message}), sending references inline for this run`);
+        this.disabledProviders.add(provider.id);
+      }
+
+      this.urls.delete(key);
+      this.stats.failed++;
+      this.stats.inlined++;
+      return toDataUri(image);
+    }
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
@@ -0,0 +1,248 @@
+// ============================================================================
+// Ladies Manager - Output Retention + Disk Space
+// ============================================================================
+// Old output in downloads/ is deleted by the cleanup job in server.js
+// (config.json retention), a whole run folder at a time:
+//
+//   - maxAgeDays     runs (and legacy files) older than this
+//   - keepLastRuns   only the newest N run folders are kept
+//   - maxTotalMB     oldest runs go until downloads/ fits again
+//
+// 0 switches a limit off. The newest run folder with files and the active
+// run are never deleted; run folders without any media (runs that saved
+// nothing) are removed and do not count as kept runs. Legacy files directly
+// in downloads/ count towards maxTotalMB and expire with maxAgeDays.
+//
+// ZIP downloads in data/archives (archiveDir) count towards maxTotalMB too:
+// they go first when over the limit (they can be rebuilt), expire with
+// maxAgeDays and are deleted together with the runs they contain.
+//
+// The processor checks the free disk space before a run and before every
+// prompt (config.json diskSpace) and refuses or pauses the run below
+// minFreeMB, instead of failing image downloads on a full disk.
+// ============================================================================
+
+import { readdirSync, statSync, statfsSync, existsSync, rmSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { listRunFolders, runDownloadDir, runDate, MEDIA_FILE_PATTERN } from './downloads.js';
+import { ArchiveBuilder } from './archive-builder.js';
+
+export const DEFAULT_RETENTION = {
+  maxAgeDays: 30,
+  keepLastRuns: 0,
+  maxTotalMB: 0,
+  intervalHours: 6
+};
+
+export const DISK_SPACE_ACTIONS = ['refuse', 'pause'];
+
+export const DEFAULT_DISK_SPACE = {
+  minFreeMB: 1024,
+  action: 'refuse'
+};
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns a list of problems with config.json retention
+export function checkRetentionConfig(options = {}) {
+  const errors = [];
+  const limits = {
+    maxAgeDays: 3650,
+    keepLastRuns: 10000,
+    maxTotalMB: 10 * 1024 * 1024,
+    intervalHours: 168
+  };
+
+  for (const [key, max] of Object.entries(limits)) {
+    const value = options[key];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= max)) {
+      errors.push(`retention.${key} must be an integer between 0 (off) and ${max}`);
+    }
+  }
+
+  return errors;
+}
+
+// Returns a list of problems with config.json diskSpace
+export function checkDiskSpaceConfig(options = {}) {
+  const errors = [];
+  const { minFreeMB, action } = options;
+
+  if (minFreeMB !== undefined && !(Number.isInteger(minFreeMB) && minFreeMB >= 0)) {
+    errors.push('diskSpace.minFreeMB must be an integer >= 0 (0 = no check)');
+  }
+
+  if (action !== undefined && !DISK_SPACE_ACTIONS.includes(action)) {
+    errors.push(`diskSpace.action must be one of: ${DISK_SPACE_ACTIONS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Free / total bytes of the file system holding path (path may not exist yet)
+export function getDiskSpace(path) {
+  let existing = path;
+  while (!existsSync(existing) && dirname(existing) !== existing) {
+    existing = dirname(existing);
+  }
+
+  const stats = statfsSync(existing);
+  return {
+    freeBytes: stats.bavail * stats.bsize,
+    totalBytes: stats.blocks * stats.bsize
+  };
+}
+
+// { ok, freeBytes, requiredBytes } for options = config.json diskSpace
+export function checkFreeSpace(path, options = {}) {
+  const { minFreeMB } = { ...DEFAULT_DISK_SPACE, ...options };
+  const { freeBytes } = getDiskSpace(path);
+  const requiredBytes = minFreeMB * MB;
+
+  return { ok: freeBytes >= requiredBytes, freeBytes, requiredBytes };
+}
+
+function folderBytes(dir) {
+  let bytes = 0;
+
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const filepath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      bytes += folderBytes(filepath);
+    } else if (entry.isFile()) {
+      bytes += statSync(filepath).size;
+    }
+  }
+
+  return bytes;
+}
+
+function hasMedia(dir) {
+  return readdirSync(dir).some(name => MEDIA_FILE_PATTERN.test(name));
+}
+
+// What retention can delete, archives first, then oldest first:
+//   { kind, runId, paths, bytes, date, empty, runIds }
+//   kind: run (folder), legacy (file + sidecar in downloads/), archive (ZIP)
+function listUnits(root, archiveDir) {
+  const units = [];
+
+  for (const name of existsSync(root) ? readdirSync(root) : []) {
+    if (!MEDIA_FILE_PATTERN.test(name)) continue;
+
+    const filepath = join(root, name);
+    const stats = statSync(filepath);
+    if (!stats.isFile()) continue;
+
+    const sidecarPath = join(root, `${name.slice(0, -extname(name).length)}.json`);
+    const paths = existsSync(sidecarPath) ? [filepath, sidecarPath] : [filepath];
+
+    units.push({
+      kind: 'legacy',
+      runId: null,
+      paths,
+      bytes: paths.reduce((sum, path) => sum + statSync(path).size, 0),
+      date: stats.mtime
+    });
+  }
+
+  for (const runId of listRunFolders(root).reverse()) {
+    const dir = runDownloadDir(root, runId);
+    units.push({ kind: 'run', runId, paths: [dir], bytes: folderBytes(dir), date: runDate(runId), empty: !hasMedia(dir) });
+  }
+
+  for (const archive of archiveDir ? ArchiveBuilder.list(archiveDir) : []) {
+    units.push({
+      kind: 'archive',
+      runId: null,
+      paths: [archive.filepath, archive.infoPath],
+      bytes: archive.bytes,
+      date: new Date(archive.mtimeMs),
+      runIds: archive.runIds
+    });
+  }
+
+  const rank = unit => (unit.kind === 'archive' ? 0 : 1);
+  return units.sort((a, b) => rank(a) - rank(b) || a.date - b.date);
+}
+
+// Disk usage of downloads/ + archiveDir:
+//   { bytes, runFolders, legacyFiles, archives, archiveBytes }  (bytes = all)
+export function measureDownloads(root, archiveDir = null) {
+  const units = listUnits(root, archiveDir);
+  const archives = units.filter(unit => unit.kind === 'archive');
+
+  return {
+    bytes: units.reduce((sum, unit) => sum + unit.bytes, 0),
+    runFolders: units.filter(unit => unit.kind === 'run').length,
+    legacyFiles: units.filter(unit => unit.kind === 'legacy').length,
+    archives: archives.length,
+    archiveBytes: archives.reduce((sum, unit) => sum + unit.bytes, 0)
+  };
+}
+
+// Deletes what the retention limits allow. protect: run ids to keep (the
+// active run), archiveDir: ZIP downloads (data/archives). Returns
+// { deletedRuns, deletedFiles, deletedArchives, emptyFolders, freedBytes, remainingBytes }.
+export function applyRetention(root, options = {}, { protect = [], now = Date.now(), archiveDir = null } = {}) {
+  const { maxAgeDays, keepLastRuns, maxTotalMB } = { ...DEFAULT_RETENTION, ...options };
+  const result = { deletedRuns: [], deletedFiles: 0, deletedArchives: 0, emptyFolders: 0, freedBytes: 0, remainingBytes: 0 };
+
+  const units = listUnits(root, archiveDir);
+
+  // Folders without media are neither the newest run nor one of the kept ones
+  const runUnits = units.filter(unit => unit.kind === 'run' && !unit.empty);
+  const newestRunId = runUnits[runUnits.length - 1]?.runId;
+  const keptRunIds = new Set(keepLastRuns > 0 ? runUnits.slice(-keepLastRuns).map(unit => unit.runId) : []);
+
+  const isProtected = unit => unit.kind === 'run' && (unit.runId === newestRunId || protect.includes(unit.runId));
+
+  const expired = unit =>
+    (unit.kind === 'run' && unit.empty) ||
+    (maxAgeDays > 0 && unit.date.getTime() < now - maxAgeDays * DAY_MS) ||
+    (keepLastRuns > 0 && unit.kind === 'run' && !keptRunIds.has(unit.runId));
+
+  let totalBytes = units.reduce((sum, unit) => sum + unit.bytes, 0);
+  const maxTotalBytes = maxTotalMB * MB;
+
+  const remove = (unit) => {
+    for (const path of unit.paths) {
+      rmSync(path, { recursive: true, force: true });
+    }
+
+    unit.deleted = true;
+    totalBytes -= unit.bytes;
+    result.freedBytes += unit.bytes;
+
+    if (unit.kind === 'archive') {
+      result.deletedArchives++;
+    } else if (unit.kind === 'legacy') {
+      result.deletedFiles++;
+    } else if (unit.empty) {
+      result.emptyFolders++;
+    } else {
+      result.deletedRuns.push(unit.runId);
+    }
+  };
+
+  // Archives, then oldest first: age / count limits, then size until it fits
+  for (const unit of units) {
+    if (isProtected(unit)) continue;
+
+    const overSize = maxTotalMB > 0 && totalBytes > maxTotalBytes;
+    if (expired(unit) || overSize) {
+      remove(unit);
+    }
+  }
+
+  // Archives with files of deleted runs are out of date
+  for (const unit of units) {
+    if (unit.kind === 'archive' && !unit.deleted && unit.runIds?.some(runId => result.deletedRuns.includes(runId))) {
+      remove(unit);
+    }
+  }
+
+  result.remainingBytes = totalBytes;
+  return result;
+}
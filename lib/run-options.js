@@ -0,0 +1,163 @@
+// ============================================================================
+// Ladies Manager - Run Options
+// ============================================================================
+// Schema + validation for the options accepted by POST /runs. Validated
+// options are handed to batch-processor-vps.js via the LM_RUN_OPTIONS env
+// variable; anything left out falls back to the data source settings
+// (Airtable Configuration or settings file).
+// ============================================================================
+
+import { PROVIDER_IDS, DEFAULT_PROVIDER, getCapabilities } from './providers/index.js';
+
+export const RUN_OPTIONS_ENV = 'LM_RUN_OPTIONS';
+
+export const RUN_OPTIONS_SCHEMA = {
+  recordIds: {
+    type: 'array',
+    // Airtable record ids (rec...) or ids from a prompt file (row-1, ...)
+    items: /^[A-Za-z0-9_-]{1,64}$/,
+    maxItems: 500,
+    description: 'Only process these record ids'
+  },
+  filterFormula: {
+    type: 'string',
+    maxLength: 1000,
+    description: 'Extra Airtable formula, AND-ed with the pending-records filter (Airtable data source only)'
+  },
+  maxPrompts: {
+    type: 'integer',
+    min: 1,
+    max: 10000,
+    description: 'Stop after this many prompts'
+  },
+  numImages: {
+    type: 'integer',
+    min: 1,
+    max: 6,
+    description: 'Images per prompt'
+  },
+  imageSize: {
+    type: 'string',
+    pattern: /^\d{3,4}x\d{3,4}$/,
+    description: 'Output size WIDTHxHEIGHT'
+  },
+  enableVideo: {
+    type: 'boolean',
+    description: 'Generate a video from the first image'
+  },
+  videoDuration: {
+    type: 'integer',
+    enum: [5, 10],
+    description: 'Video duration in seconds'
+  },
+  provider: {
+    type: 'string',
+    enum: PROVIDER_IDS,
+    description: 'Image/video provider for every record in this run'
+  },
+  dryRun: {
+    type: 'boolean',
+    description: 'Fetch and list prompts without calling FAL or writing results'
+  }
+};
+
+export function validateRunOptions(input) {
+  const errors = [];
+  const options = {};
+
+  if (input === undefined || input === null) {
+    return { options, errors };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { options, errors: ['Run options must be a JSON object'] };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    const rule = RUN_OPTIONS_SCHEMA[key];
+
+    if (!rule) {
+      errors.push(`Unknown option "${key}"`);
+      continue;
+    }
+
+    // Treat empty form fields as "not set"
+    if (value === null || value === '') {
+      continue;
+    }
+
+    const error = validateValue(key, value, rule);
+    if (error) {
+      errors.push(error);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  // Size limits come from the provider (the default one when the run
+  // does not pick one)
+  if (options.imageSize) {
+    const providerId = options.provider || DEFAULT_PROVIDER;
+    const { minSize, maxSize } = getCapabilities(providerId);
+    const [width, height] = options.imageSize.split('x').map(Number);
+    if ([width, height].some(edge => edge < minSize || edge > maxSize)) {
+      errors.push(`imageSize must be between ${minSize} and ${maxSize} px per side for provider ${providerId}`);
+      delete options.imageSize;
+    }
+  }
+
+  if (options.videoDuration !== undefined && options.enableVideo === false) {
+    errors.push('videoDuration requires enableVideo');
+  }
+
+  return { options, errors };
+}
+
+function validateValue(key, value, rule) {
+  switch (rule.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return `${key} must be an integer`;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return `${key} must be one of: ${rule.enum.join(', ')}`;
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return `${key} must be between ${rule.min} and ${rule.max}`;
+      }
+      return null;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return `${key} must be a string`;
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `${key} must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return `${key} has an invalid format`;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return `${key} must be one of: ${rule.enum.join(', ')}`;
+      }
+      return null;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return `${key} must be an array`;
+      }
+      if (value.length > rule.maxItems) {
+        return `${key} must have at most ${rule.maxItems} entries`;
+      }
+      if (value.some(item => typeof item !== 'string' || !rule.items.test(item))) {
+        return `${key} contains invalid entries`;
+      }
+      return null;
+
+    default:
+      return `${key} has an unsupported type`;
+  }
+}
@@ -0,0 +1,147 @@
+// ============================================================================
+// Ladies Manager - Run Store
+// ============================================================================
+// File-based run history. Each run is persisted as two files:
+//   <dir>/<runId>.json - run record (times, exit code, counts, prompts, config)
+//   <dir>/<runId>.log  - NDJSON log lines ({ time, message } per line)
+// Records are written atomically (tmp file + rename) so a crash or PM2
+// restart never leaves a half-written JSON file behind.
+// ============================================================================
+
+import {
+  readFileSync,
+  writeFileSync,
+  appendFileSync,
+  renameSync,
+  existsSync,
+  mkdirSync,
+  readdirSync
+} from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+
+const RUN_ID_PATTERN = /^run_[0-9T]+_[0-9a-f]+$/;
+
+export class RunStore {
+  constructor(dir) {
+    this.dir = dir;
+
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  static createId(date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').slice(0, 15);
+    return `run_${stamp}_${randomBytes(3).toString('hex')}`;
+  }
+
+  static isValidId(runId) {
+    return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+  }
+
+  create(fields = {}) {
+    const run = {
+      id: RunStore.createId(),
+      status: 'running',
+      trigger: 'manual',
+      startTime: new Date().toISOString(),
+      endTime: null,
+      exitCode: null,
+      counts: { total: 0, processed: 0, success: 0, failed: 0 },
+      config: null,
+      prompts: [],
+      error: null,
+      ...fields
+    };
+
+    this.save(run);
+    return run;
+  }
+
+  save(run) {
+    const filepath = this.recordPath(run.id);
+    const tmpPath = `${filepath}.tmp`;
+
+    writeFileSync(tmpPath, JSON.stringify(run, null, 2));
+    renameSync(tmpPath, filepath);
+  }
+
+  appendLog(runId, entry) {
+    appendFileSync(this.logPath(runId), JSON.stringify(entry) + '\n');
+  }
+
+  get(runId) {
+    if (!RunStore.isValidId(runId) || !existsSync(this.recordPath(runId))) {
+      return null;
+    }
+
+    return JSON.parse(readFileSync(this.recordPath(runId), 'utf-8'));
+  }
+
+  readLog(runId) {
+    if (!RunStore.isValidId(runId) || !existsSync(this.logPath(runId))) {
+      return [];
+    }
+
+    return readFileSync(this.logPath(runId), 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return { time: null, message: line };
+        }
+      });
+  }
+
+  // Newest first. Run ids start with a UTC timestamp, so name order = time order.
+  list({ limit = 50 } = {}) {
+    return this.listIds()
+      .slice(0, limit)
+      .map(runId => this.get(runId))
+      .filter(Boolean);
+  }
+
+  listIds() {
+    return readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(runId => RunStore.isValidId(runId))
+      .sort()
+      .reverse();
+  }
+
+  // Runs still marked as running belong to a server process that died
+  markInterrupted() {
+    let count = 0;
+
+    for (const runId of this.listIds()) {
+      const run = this.get(runId);
+      if (run && run.status === 'running') {
+        run.status = 'interrupted';
+        run.endTime = run.endTime || new Date().toISOString();
+        run.error = run.error || 'Server restarted while run was in progress';
+        this.save(run);
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  recordPath(runId) {
+    return join(this.dir, `${runId}.json`);
+  }
+
+  logPath(runId) {
+    return join(this.dir, `${runId}.log`);
+  }
+}
+
+// Summary view without the (potentially large) prompt list
+export function summarizeRun(run) {
+  const { prompts, ...summary } = run;
+  return { ...summary, promptCount: prompts.length };
+}
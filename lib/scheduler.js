@@ -0,0 +1,365 @@
+// ============================================================================
+// Ladies Manager - Scheduler
+// ============================================================================
+// Cron-style recurring runs. Schedules come from two places:
+//   config.json scheduler.schedules - read-only, ids prefixed with "config:"
+//   <dataDir>/schedules.json        - managed through the /schedules API
+//
+// Cron format (server local time): minute hour day-of-month month day-of-week
+//   *  any value     5,10  list     1-5  range     */15  step     1-10/2
+// Day-of-week: 0-6 (0 = Sunday, 7 is accepted as Sunday too).
+// ============================================================================
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { validateRunOptions } from './run-options.js';
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Upper bound for next-run search (29 February can be 8 years away)
+const MAX_LOOKAHEAD_YEARS = 8;
+
+// ============================================================================
+// CRON EXPRESSIONS
+// ============================================================================
+
+export class CronExpression {
+  constructor(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new Error(`Cron expression needs 5 fields, got ${parts.length}: "${expression}"`);
+    }
+
+    this.expression = parts.join(' ');
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      parts.map((part, i) => parseField(part, CRON_FIELDS[i]));
+
+    // 7 and 0 both mean Sunday
+    if (this.daysOfWeek.has(7)) {
+      this.daysOfWeek.add(0);
+    }
+
+    // Standard cron: if both day fields are restricted, either may match
+    this.domRestricted = parts[2] !== '*';
+    this.dowRestricted = parts[4] !== '*';
+  }
+
+  matches(date) {
+    return this.minutes.has(date.getMinutes()) &&
+      this.hours.has(date.getHours()) &&
+      this.months.has(date.getMonth() + 1) &&
+      this.matchesDay(date);
+  }
+
+  matchesDay(date) {
+    const domMatch = this.daysOfMonth.has(date.getDate());
+    const dowMatch = this.daysOfWeek.has(date.getDay());
+
+    if (this.domRestricted && this.dowRestricted) {
+      return domMatch || dowMatch;
+    }
+
+    return domMatch && dowMatch;
+  }
+
+  // Skips whole months / days / hours that cannot match instead of testing
+  // every minute
+  next(from = new Date()) {
+    const candidate = new Date(from);
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    const lastYear = candidate.getFullYear() + MAX_LOOKAHEAD_YEARS;
+
+    while (candidate.getFullYear() <= lastYear) {
+      if (!this.months.has(candidate.getMonth() + 1)) {
+        candidate.setMonth(candidate.getMonth() + 1, 1);
+        candidate.setHours(0, 0);
+      } else if (!this.matchesDay(candidate)) {
+        candidate.setDate(candidate.getDate() + 1);
+        candidate.setHours(0, 0);
+      } else if (!this.hours.has(candidate.getHours())) {
+        candidate.setHours(candidate.getHours() + 1, 0);
+      } else if (!this.minutes.has(candidate.getMinutes())) {
+        candidate.setMinutes(candidate.getMinutes() + 1);
+      } else {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+}
+
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: "${part}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+
+    if (end === undefined) {
+      end = stepText ? max : start;
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// ============================================================================
+// QUIET HOURS
+// ============================================================================
+
+// window: { start: 'HH:MM', end: 'HH:MM' }, may wrap midnight (22:00 - 06:00)
+export function isInQuietHours(window, date = new Date()) {
+  if (!window) return false;
+
+  const toMinutes = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+  };
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+function validateQuietHours(window, label, errors) {
+  if (window === undefined || window === null) return;
+
+  if (typeof window !== 'object' || !TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+    errors.push(`${label} must be { "start": "HH:MM", "end": "HH:MM" }`);
+  }
+}
+
+// ============================================================================
+// SCHEDULE VALIDATION
+// ============================================================================
+
+export function validateSchedule(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { schedule: null, errors: ['Schedule must be a JSON object'] };
+  }
+
+  if (!input.name || typeof input.name !== 'string') {
+    errors.push('name is required');
+  }
+
+  try {
+    new CronExpression(input.cron);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  const { options, errors: optionErrors } = validateRunOptions(input.options);
+  errors.push(...optionErrors.map(err => `options: ${err}`));
+
+  validateQuietHours(input.quietHours, 'quietHours', errors);
+
+  for (const key of ['enabled', 'onlyIfPending']) {
+    if (input[key] !== undefined && typeof input[key] !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    }
+  }
+
+  const schedule = {
+    name: input.name,
+    cron: input.cron,
+    enabled: input.enabled !== false,
+    onlyIfPending: input.onlyIfPending !== false,
+    quietHours: input.quietHours || null,
+    options
+  };
+
+  return { schedule, errors };
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+export class Scheduler {
+  // onTrigger(schedule) -> Promise<{ started: boolean, runId?, reason? }>
+  constructor({ configSchedules = [], storePath, quietHours = null, onTrigger }) {
+    this.storePath = storePath;
+    this.quietHours = quietHours;
+    this.onTrigger = onTrigger;
+    this.timer = null;
+    this.lastTickMinute = null;
+    this.state = new Map(); // id -> { lastRun, lastResult }
+
+    const errors = [];
+    validateQuietHours(quietHours, 'scheduler.quietHours', errors);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    this.configSchedules = configSchedules.map((input, index) => {
+      const { schedule, errors: scheduleErrors } = validateSchedule(input);
+      if (scheduleErrors.length > 0) {
+        throw new Error(`config scheduler.schedules[${index}]: ${scheduleErrors.join(', ')}`);
+      }
+      return { ...schedule, id: `config:${index}`, source: 'config' };
+    });
+
+    this.apiSchedules = this.load();
+  }
+
+  load() {
+    if (!existsSync(this.storePath)) {
+      return [];
+    }
+    return JSON.parse(readFileSync(this.storePath, 'utf-8')).schedules || [];
+  }
+
+  save() {
+    const dir = dirname(this.storePath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.storePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ schedules: this.apiSchedules }, null, 2));
+    renameSync(tmpPath, this.storePath);
+  }
+
+  all() {
+    return [...this.configSchedules, ...this.apiSchedules];
+  }
+
+  get(id) {
+    return this.all().find(schedule => schedule.id === id) || null;
+  }
+
+  list(now = new Date()) {
+    return this.all().map(schedule => ({
+      ...schedule,
+      nextRun: schedule.enabled ? new CronExpression(schedule.cron).next(now)?.toISOString() || null : null,
+      ...(this.state.get(schedule.id) || { lastRun: null, lastResult: null })
+    }));
+  }
+
+  add(input) {
+    const { schedule, errors } = validateSchedule(input);
+    if (errors.length > 0) {
+      return { schedule: null, errors };
+    }
+
+    const created = { ...schedule, id: randomBytes(4).toString('hex'), source: 'api' };
+    this.apiSchedules.push(created);
+    this.save();
+    return { schedule: created, errors };
+  }
+
+  update(id, input) {
+    const index = this.apiSchedules.findIndex(schedule => schedule.id === id);
+    if (index === -1) {
+      return { schedule: null, errors: [this.get(id) ? 'Schedules from config.json are read-only' : 'Schedule not found'] };
+    }
+
+    const { schedule, errors } = validateSchedule({ ...this.apiSchedules[index], ...input });
+    if (errors.length > 0) {
+      return { schedule: null, errors };
+    }
+
+    this.apiSchedules[index] = { ...schedule, id, source: 'api' };
+    this.save();
+    return { schedule: this.apiSchedules[index], errors };
+  }
+
+  remove(id) {
+    const before = this.apiSchedules.length;
+    this.apiSchedules = this.apiSchedules.filter(schedule => schedule.id !== id);
+    this.state.delete(id);
+    this.save();
+    return this.apiSchedules.length < before;
+  }
+
+  start() {
+    this.scheduleNextTick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Wake up shortly after each full minute
+  scheduleNextTick() {
+    const now = Date.now();
+    const delay = 60000 - (now % 60000) + 1000;
+
+    this.timer = setTimeout(() => {
+      this.tick(new Date()).finally(() => this.scheduleNextTick());
+    }, delay);
+    this.timer.unref();
+  }
+
+  async tick(now) {
+    const minuteKey = Math.floor(now.getTime() / 60000);
+    if (minuteKey === this.lastTickMinute) return;
+    this.lastTickMinute = minuteKey;
+
+    const due = this.all().filter(schedule =>
+      schedule.enabled && new CronExpression(schedule.cron).matches(now)
+    );
+
+    for (const schedule of due) {
+      await this.fire(schedule, now);
+    }
+  }
+
+  async fire(schedule, now = new Date()) {
+    let result;
+
+    if (isInQuietHours(schedule.quietHours || this.quietHours, now)) {
+      result = { started: false, reason: 'Quiet hours' };
+    } else {
+      try {
+        result = await this.onTrigger(schedule);
+      } catch (error) {
+        result = { started: false, reason: error.message };
+      }
+    }
+
+    this.state.set(schedule.id, { lastRun: now.toISOString(), lastResult: result });
+
+    if (result.started) {
+      console.log(`⏰ Schedule "${schedule.name}" started run ${result.runId}`);
+    } else {
+      console.log(`⏰ Schedule "${schedule.name}" skipped: ${result.reason}`);
+    }
+
+    return result;
+  }
+}
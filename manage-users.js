@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// Ladies Manager - User & API Token Management
+// ============================================================================
+// Usage:
+//   npm run users -- add <username> <viewer|operator>   (prompts for password)
+//   npm run users -- remove <username>
+//   npm run users -- token <name> <viewer|operator>     (prints token once)
+//   npm run users -- revoke <tokenId>
+//   npm run users -- list
+// ============================================================================
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createInterface } from 'readline';
+import { UserStore, ROLES } from './lib/auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+let CONFIG;
+try {
+  CONFIG = JSON.parse(readFileSync(join(__dirname, 'config.json'), 'utf-8'));
+} catch (error) {
+  console.error('❌ Failed to load config.json:', error.message);
+  process.exit(1);
+}
+
+const userStore = new UserStore(join(__dirname, CONFIG.storage?.dataDir || 'data', 'users.json'));
+
+function askPassword() {
+  // Allow non-interactive use (e.g. setup scripts)
+  if (process.env.LM_PASSWORD) {
+    return Promise.resolve(process.env.LM_PASSWORD);
+  }
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question('Password: ', (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function usage() {
+  console.log('Usage:');
+  console.log(`  add <username> <${ROLES.join('|')}>`);
+  console.log('  remove <username>');
+  console.log(`  token <name> <${ROLES.join('|')}>`);
+  console.log('  revoke <tokenId>');
+  console.log('  list');
+  process.exit(1);
+}
+
+async function main() {
+  const [command, name, role] = process.argv.slice(2);
+
+  switch (command) {
+    case 'add': {
+      if (!name || !role) usage();
+      const password = await askPassword();
+      if (password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+      }
+      userStore.addUser(name, password, role);
+      console.log(`✅ User "${name}" created (${role})`);
+      break;
+    }
+
+    case 'remove':
+      if (!name) usage();
+      console.log(userStore.removeUser(name) ? `✅ User "${name}" removed` : `⚠️  User "${name}" not found`);
+      break;
+
+    case 'token': {
+      if (!name || !role) usage();
+      const { token, id } = userStore.createToken(name, role);
+      console.log(`✅ API token "${name}" created (${role}, id ${id})`);
+      console.log('   Store it now, it will not be shown again:');
+      console.log(`   ${token}`);
+      console.log(`   Use as header: Authorization: Bearer ${token}`);
+      break;
+    }
+
+    case 'revoke':
+      if (!name) usage();
+      console.log(userStore.revokeToken(name) ? `✅ Token ${name} revoked` : `⚠️  Token ${name} not found`);
+      break;
+
+    case 'list':
+      console.log('Users:');
+      userStore.listUsers().forEach(u => console.log(`  ${u.username} (${u.role})`));
+      console.log('API tokens:');
+      userStore.listTokens().forEach(t => console.log(`  ${t.id}  ${t.name} (${t.role})`));
+      break;
+
+    default:
+      usage();
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
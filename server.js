@@ -3,18 +3,69 @@
 // ============================================================================
 // Ladies Manager - Express Web Server
 // ============================================================================
-// Endpoints:
-// GET /          - Start generation + show HTML UI
-// GET /status    - JSON status (for live updates)
-// GET /download  - Download ZIP with all generated images/videos
+// Endpoints (role in brackets, see lib/auth.js):
+// GET  /          - Dashboard HTML UI (read-only)                 [viewer]
+// GET  /status    - JSON status (for scripts / polling)           [viewer]
+// GET  /events    - Server-Sent Events stream (state + log lines) [viewer]
+// GET  /runs      - Run history (newest first)                    [viewer]
+// GET  /runs/:id  - Single run with per-prompt outcomes and log   [viewer]
+// POST /runs      - Start a run with options (lib/run-options.js) [operator]
+// POST /trigger   - Alias for POST /runs                          [operator]
+// POST /runs/:id/pause|resume|cancel - Control the active run     [operator]
+// GET  /schedules - Recurring runs (lib/scheduler.js)             [viewer]
+// POST /schedules, PUT|DELETE /schedules/:id, POST /schedules/:id/run [operator]
+// GET  /queue     - Job queue counts + jobs (?state=dead)         [viewer]
+// POST /queue/:id/requeue - Reset a dead/finished job             [operator]
+// GET  /download  - ZIP + manifest (?run=, ?records=, ?files=, ?from=&to=,
+//                   ?all=true; default: latest run; POST = form)  [operator]
+// GET  /thumbnails/:runId/:name - Dashboard thumbnail             [viewer]
+// GET  /gallery   - Gallery page (media per run and record)       [viewer]
+// GET  /runs/:id/media - Gallery data of a run                    [viewer]
+// GET  /media/:runId/:file - Generated image / video              [viewer]
+// POST /cleanup   - Apply the retention policy to downloads/      [operator]
+// GET /login, POST /login, POST /logout, GET /me                  [public]
 // ============================================================================
 
 import express from 'express';
 import { spawn } from 'child_process';
-import { readFileSync, existsSync, createWriteStream, readdirSync, statSync } from 'fs';
+import { createInterface } from 'readline';
+import { readFileSync, existsSync, createWriteStream } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import archiver from 'archiver';
+import { RunStore, summarizeRun } from './lib/run-store.js';
+import { validateRunOptions, RUN_OPTIONS_ENV, RUN_OPTIONS_SCHEMA } from './lib/run-options.js';
+import { Scheduler } from './lib/scheduler.js';
+import { JobQueue, JOB_STATES } from './lib/job-queue.js';
+import { createDataSource } from './lib/data-sources/index.js';
+import { THUMBNAIL_DIR } from './lib/image-postprocess.js';
+import {
+  parseDownloadFilter,
+  hasSelection,
+  listRunFolders,
+  collectDownloads,
+  buildManifest,
+  runDownloadDir,
+  isMediaFile
+} from './lib/downloads.js';
+import { buildGallery } from './lib/gallery.js';
+import { ArchiveBuilder, DEFAULT_MAX_ARCHIVES } from './lib/archive-builder.js';
+import {
+  applyRetention,
+  measureDownloads,
+  getDiskSpace,
+  checkRetentionConfig,
+  checkDiskSpaceConfig,
+  DEFAULT_RETENTION,
+  DEFAULT_DISK_SPACE
+} from './lib/retention.js';
+import {
+  UserStore,
+  SessionManager,
+  SESSION_COOKIE,
+  hasRole,
+  parseCookies,
+  resolvePrincipal
+} from './lib/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,36 +82,142 @@ try {
 
 const app = express();
 const PORT = CONFIG.server?.port || 3000;
+const DATA_DIR = join(__dirname, CONFIG.storage?.dataDir || 'data');
+const DOWNLOADS_DIR = join(__dirname, 'downloads');
+const DOWNLOADS_CONFIG = {
+  prebuild: CONFIG.downloads?.prebuild !== false,
+  maxArchives: CONFIG.downloads?.maxArchives ?? DEFAULT_MAX_ARCHIVES
+};
+
+// Finished ZIP downloads, reused until the selected files change
+const archiveBuilder = new ArchiveBuilder(join(DATA_DIR, 'archives'), { maxArchives: DOWNLOADS_CONFIG.maxArchives });
+
+// Persistent run history (survives PM2 restarts)
+const runStore = new RunStore(join(DATA_DIR, 'runs'));
+const interruptedRuns = runStore.markInterrupted();
+if (interruptedRuns > 0) {
+  console.log(`⚠️  Marked ${interruptedRuns} unfinished run(s) as interrupted`);
+}
+
+// Authentication (users.json managed with: npm run users)
+const AUTH_ENABLED = CONFIG.auth?.enabled !== false;
+const SESSION_TTL_MS = (CONFIG.auth?.sessionHours || 12) * 60 * 60 * 1000;
+const userStore = new UserStore(join(DATA_DIR, 'users.json'));
+const sessions = new SessionManager(SESSION_TTL_MS);
+
+if (!AUTH_ENABLED) {
+  console.warn('⚠️  Authentication is DISABLED (config.auth.enabled = false)');
+} else if (!userStore.hasCredentials()) {
+  console.warn('⚠️  No users configured - all protected endpoints are locked.');
+  console.warn('   Create one with: npm run users -- add <username> operator');
+}
+
+// Recurring runs
+const SCHEDULER_ENABLED = CONFIG.scheduler?.enabled !== false;
+let scheduler;
+try {
+  scheduler = new Scheduler({
+    configSchedules: CONFIG.scheduler?.schedules || [],
+    storePath: join(DATA_DIR, 'schedules.json'),
+    quietHours: CONFIG.scheduler?.quietHours || null,
+    onTrigger: runScheduled
+  });
+} catch (error) {
+  console.error('❌ Invalid scheduler configuration:', error.message);
+  process.exit(1);
+}
+
+// Output retention (cleanup job below) + disk space threshold for the dashboard
+const retentionErrors = [...checkRetentionConfig(CONFIG.retention), ...checkDiskSpaceConfig(CONFIG.diskSpace)];
+if (retentionErrors.length > 0) {
+  console.error('❌ Invalid retention configuration:');
+  retentionErrors.forEach(err => console.error('   - ' + err));
+  process.exit(1);
+}
+
+const RETENTION = { ...DEFAULT_RETENTION, ...CONFIG.retention };
+const DISK_SPACE = { ...DEFAULT_DISK_SPACE, ...CONFIG.diskSpace };
+
+// Scheduler pre-checks (the processor has its own data source and throttle)
+const dataSource = createDataSource(CONFIG, { baseDir: __dirname });
+
+// Job queue file is owned by the processor while a run is active
+const QUEUE_PATH = join(DATA_DIR, dataSource.queueFile);
 
 // Global state
-let processingState = {
-  isRunning: false,
-  startTime: null,
-  totalPrompts: 0,
-  processedPrompts: 0,
-  successCount: 0,
-  failCount: 0,
-  currentPrompt: '',
-  logs: [],
-  error: null
-};
+let currentRun = null;
+let currentProcessor = null;
+let processingState = createProcessingState();
+
+// Server-Sent Events: connected clients + replay buffer for Last-Event-ID resume
+const sseClients = new Set();
+const sseBuffer = [];
+const SSE_BUFFER_SIZE = 1000;
+const SSE_HEARTBEAT_MS = 15000;
+let lastEventId = 0;
+
+// Behind Nginx: trust X-Forwarded-* from localhost (secure cookies over HTTPS)
+app.set('trust proxy', 'loopback');
+
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
 
 // Serve static files (HTML, CSS, JS)
-app.use(express.static(join(__dirname, 'public')));
+app.use(express.static(join(__dirname, 'public'), { index: false }));
 
 // ============================================================================
-// GET / - Start Generation
+// Authentication
 // ============================================================================
 
-app.get('/', (req, res) => {
-  // If already running, just show status page
-  if (processingState.isRunning) {
-    res.sendFile(join(__dirname, 'public', 'index.html'));
-    return;
+app.get('/login', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'login.html'));
+});
+
+app.post('/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const next = safeRedirectPath(req.body?.next);
+  const principal = username && password
+    ? userStore.authenticate(String(username), String(password))
+    : null;
+
+  if (!principal) {
+    console.warn(`⚠️  Failed login for "${username}" from ${req.ip}`);
+    if (req.is('application/json')) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    return res.redirect(`/login?error=1&next=${encodeURIComponent(next)}`);
+  }
+
+  res.cookie(SESSION_COOKIE, sessions.create(principal), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS
+  });
+
+  console.log(`🔑 ${principal.username} logged in (${principal.role})`);
+
+  if (req.is('application/json')) {
+    return res.json({ success: true, user: principal });
   }
+  res.redirect(next);
+});
+
+app.post('/logout', (req, res) => {
+  sessions.destroy(parseCookies(req.get('Cookie'))[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE);
+  res.redirect('/login');
+});
+
+app.get('/me', requireRole('viewer'), (req, res) => {
+  res.json({ user: req.user, authEnabled: AUTH_ENABLED });
+});
+
+// ============================================================================
+// GET / - Dashboard (read-only, runs are started with POST /runs)
+// ============================================================================
 
-  // Start new generation
-  startGeneration();
+app.get('/', requireRole('viewer'), (req, res) => {
   res.sendFile(join(__dirname, 'public', 'index.html'));
 });
 
@@ -68,235 +225,993 @@ app.get('/', (req, res) => {
 // GET /status - JSON Status (for AJAX polling)
 // ============================================================================
 
-app.get('/status', (req, res) => {
-  const elapsed = processingState.startTime 
-    ? Math.round((Date.now() - processingState.startTime) / 1000)
-    : 0;
+app.get('/status', requireRole('viewer'), (req, res) => {
+  res.json(buildStatus());
+});
 
-  const percentage = processingState.totalPrompts > 0
-    ? Math.round((processingState.processedPrompts / processingState.totalPrompts) * 100)
-    : 0;
+// ============================================================================
+// GET /events - Server-Sent Events stream
+// ============================================================================
+// Event types:
+//   state - full status snapshot (same shape as GET /status)
+//   log   - a single log line { time, message }
+// Browsers resume via the Last-Event-ID header; scripts may use ?lastEventId=N.
 
-  res.json({
-    isRunning: processingState.isRunning,
-    progress: {
-      total: processingState.totalPrompts,
-      processed: processingState.processedPrompts,
-      percentage: percentage,
-      success: processingState.successCount,
-      failed: processingState.failCount
-    },
-    currentPrompt: processingState.currentPrompt,
-    elapsed: elapsed,
-    logs: processingState.logs.slice(-10), // Last 10 log entries
-    error: processingState.error,
-    downloadReady: !processingState.isRunning && processingState.processedPrompts > 0
+app.get('/events', requireRole('viewer'), (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable Nginx proxy buffering
+  });
+  res.write('retry: 3000\n\n');
+
+  const resumeFrom = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  const oldestBuffered = sseBuffer.length > 0 ? sseBuffer[0].id : lastEventId + 1;
+
+  if (!isNaN(resumeFrom) && resumeFrom >= oldestBuffered - 1 && resumeFrom <= lastEventId) {
+    // Replay everything the client missed
+    sseBuffer
+      .filter(event => event.id > resumeFrom)
+      .forEach(event => writeSseEvent(res, event));
+  } else {
+    // New client, gap too large or an id from before a server restart:
+    // start from a fresh snapshot
+    writeSseEvent(res, { id: lastEventId, type: 'state', data: buildStatus() });
+  }
+
+  sseClients.add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    sseClients.delete(res);
   });
 });
 
 // ============================================================================
-// GET /download - Download ZIP with all images/videos
+// GET /runs - Run history
 // ============================================================================
 
-app.get('/download', async (req, res) => {
+app.get('/runs', requireRole('viewer'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
   try {
-    const downloadsDir = join(__dirname, 'downloads');
-    
-    if (!existsSync(downloadsDir)) {
-      return res.status(404).json({ error: 'No files to download yet' });
+    res.json({ runs: runStore.list({ limit }).map(summarizeRun) });
+  } catch (error) {
+    console.error('Run history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/runs/schema', requireRole('viewer'), (req, res) => {
+  const schema = Object.fromEntries(
+    Object.entries(RUN_OPTIONS_SCHEMA).map(([key, rule]) => [key, {
+      ...rule,
+      ...(rule.pattern && { pattern: rule.pattern.source }),
+      ...(rule.items && { items: rule.items.source })
+    }])
+  );
+  res.json(schema);
+});
+
+app.get('/runs/:id', requireRole('viewer'), (req, res) => {
+  try {
+    const run = runStore.get(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
     }
 
-    // Get all files in downloads directory
-    const files = getAllFiles(downloadsDir);
+    res.json({ ...run, log: runStore.readLog(run.id) });
+  } catch (error) {
+    console.error('Run history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (files.length === 0) {
-      return res.status(404).json({ error: 'No files found' });
+// ============================================================================
+// Gallery - generated images/videos per run and record (gallery.html)
+// ============================================================================
+
+app.get('/gallery', requireRole('viewer'), (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'gallery.html'));
+});
+
+app.get('/runs/:id/media', requireRole('viewer'), (req, res) => {
+  try {
+    const runId = req.params.id;
+
+    if (!RunStore.isValidId(runId)) {
+      return res.status(400).json({ error: 'Invalid run id' });
     }
 
-    // Create ZIP archive
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const zipFilename = `ladiesmanager_${timestamp}.zip`;
+    const run = runStore.get(runId);
+    if (!run && !existsSync(runDownloadDir(DOWNLOADS_DIR, runId))) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
 
-    res.attachment(zipFilename);
-    res.setHeader('Content-Type', 'application/zip');
+    res.json(buildGallery(DOWNLOADS_DIR, runId, run));
+  } catch (error) {
+    console.error('Gallery error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const archive = archiver('zip', {
-      zlib: { level: 9 } // Maximum compression
-    });
+// Full-size image / video (sendFile handles Range, so videos can be seeked)
+app.get('/media/:runId/:file', requireRole('viewer'), (req, res) => {
+  const { runId, file } = req.params;
 
-    archive.on('error', (err) => {
-      console.error('ZIP error:', err);
-      res.status(500).json({ error: 'Failed to create ZIP' });
-    });
+  if (!RunStore.isValidId(runId) || !isMediaFile(file)) {
+    return res.status(400).json({ error: 'Invalid file name' });
+  }
+
+  const filepath = join(runDownloadDir(DOWNLOADS_DIR, runId), file);
+  if (!existsSync(filepath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.sendFile(filepath);
+});
+
+// ============================================================================
+// GET|POST /download - ZIP of generated images/videos + manifest
+// ============================================================================
+// ?run=<runId>[,...]  ?records=<recordId>[,...]  ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// ?files=<runId>/<file>[,...] (gallery selection) ?all=true (everything, incl.
+// files from before per-run folders). POST takes the same fields as a form
+// body, for selections too long for a URL.
+// Without a filter: the latest run that produced files.
+//
+// The archive is built to data/archives first (lib/archive-builder.js) and
+// then sent as a file: errors while building still get a proper 500, and
+// Range requests let browsers / curl -C resume large downloads.
+
+// Selected files + manifest -> { filepath, files, zipFilename }
+async function buildDownloadArchive(filter) {
+  const files = collectDownloads(DOWNLOADS_DIR, filter);
+
+  if (files.length === 0) {
+    return null;
+  }
+
+  const runIds = [...new Set(files.map(file => file.runId).filter(Boolean))];
+  const filepath = await archiveBuilder.build(files, () => {
+    const runs = Object.fromEntries(runIds.map(runId => [runId, runStore.get(runId)]));
+    return buildManifest(files, runs);
+  });
+  refreshDiskUsage(); // ZIPs count towards the disk usage
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const zipFilename = runIds.length === 1 && filter.runIds
+    ? `ladiesmanager_${runIds[0]}.zip`
+    : `ladiesmanager_${timestamp}.zip`;
+
+  return { filepath, files, zipFilename };
+}
+
+// Builds the archive of a finished run in the background, so the first
+// download does not have to wait for it
+function prebuildRunArchive(runId) {
+  if (!DOWNLOADS_CONFIG.prebuild) return;
+
+  const startedAt = Date.now();
+  buildDownloadArchive({ runIds: [runId] })
+    .then(archive => {
+      if (archive) {
+        console.log(`📦 ZIP prebuilt: ${archive.files.length} files, ${archive.zipFilename} (${Date.now() - startedAt}ms)`);
+      }
+    })
+    .catch(error => console.error(`⚠️  ZIP prebuild failed for ${runId}:`, error.message));
+}
 
-    archive.pipe(res);
+async function sendDownload(req, res) {
+  let archive;
 
-    // Add all files to ZIP
-    for (const file of files) {
-      const relativePath = file.replace(downloadsDir + '/', '');
-      archive.file(file, { name: relativePath });
+  try {
+    const { filter, errors } = parseDownloadFilter(req.method === 'POST' ? req.body : req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid download filter', errors });
     }
 
-    await archive.finalize();
+    if (!hasSelection(filter)) {
+      const latest = listRunFolders(DOWNLOADS_DIR)
+        .find(runId => collectDownloads(DOWNLOADS_DIR, { runIds: [runId] }).length > 0);
+      filter.runIds = latest ? [latest] : [];
+    }
 
-    console.log(`✅ ZIP download: ${files.length} files, ${zipFilename}`);
+    archive = await buildDownloadArchive(filter);
 
+    if (!archive) {
+      return res.status(404).json({ error: 'No files found' });
+    }
   } catch (error) {
     console.error('Download error:', error);
-    res.status(500).json({ error: error.message });
+    return res.status(500).json({ error: `Failed to create ZIP: ${error.message}` });
   }
+
+  // res.download handles Range / If-Range, ETag and Last-Modified
+  res.download(archive.filepath, archive.zipFilename, { cacheControl: false }, (error) => {
+    if (!error) {
+      console.log(`✅ ZIP download: ${archive.files.length} files, ${archive.zipFilename}`);
+      return;
+    }
+
+    if (res.headersSent) {
+      // Part of the ZIP is already out - a JSON error would corrupt it,
+      // closing the connection lets the client see the download failed
+      if (error.code !== 'ECONNABORTED') {
+        console.error('Download error:', error.message);
+      }
+      res.destroy();
+    } else {
+      console.error('Download error:', error);
+      res.status(500).json({ error: `Failed to send ZIP: ${error.message}` });
+    }
+  });
+}
+
+app.get('/download', requireRole('operator'), sendDownload);
+app.post('/download', requireRole('operator'), sendDownload);
+
+// ============================================================================
+// GET /thumbnails/:runId/:name - Thumbnail of a generated image (dashboard)
+// ============================================================================
+
+app.get('/thumbnails/:runId/:name', requireRole('viewer'), (req, res) => {
+  const { runId, name } = req.params;
+
+  if (!RunStore.isValidId(runId) || !/^[\w-]+\.webp$/.test(name)) {
+    return res.status(400).json({ error: 'Invalid thumbnail name' });
+  }
+
+  const filepath = join(runDownloadDir(DOWNLOADS_DIR, runId), THUMBNAIL_DIR, name);
+  if (!existsSync(filepath)) {
+    return res.status(404).json({ error: 'Thumbnail not found' });
+  }
+
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.sendFile(filepath);
 });
 
 // ============================================================================
-// GET /trigger - Manual trigger (same as GET /)
+// POST /runs - Start a run (POST /trigger is an alias)
 // ============================================================================
 
+app.post('/runs', requireRole('operator'), handleStartRun);
+app.post('/trigger', requireRole('operator'), handleStartRun);
+
 app.get('/trigger', (req, res) => {
+  res.set('Allow', 'POST');
+  res.status(405).json({ error: 'Use POST /runs (or POST /trigger) to start a run' });
+});
+
+function handleStartRun(req, res) {
+  const { options, errors } = validateRunOptions(req.body);
+
+  if (errors.length > 0) {
+    res.status(400).json({ success: false, message: 'Invalid run options', errors });
+    return;
+  }
+
   if (processingState.isRunning) {
-    res.json({ 
+    res.status(409).json({ 
       success: false, 
       message: 'Generation already running',
-      status: processingState 
+      status: buildStatus() 
     });
     return;
   }
 
-  startGeneration();
-  res.json({ 
+  const run = startGeneration({
+    trigger: req.path === '/trigger' ? 'api' : 'dashboard',
+    options,
+    startedBy: req.user.username
+  });
+
+  res.status(202).json({ 
     success: true, 
     message: 'Generation started',
-    status: processingState 
+    runId: run.id,
+    options,
+    status: buildStatus() 
   });
-});
+}
 
 // ============================================================================
 // Start Generation Function
 // ============================================================================
 
-function startGeneration() {
+function startGeneration({
+  trigger = 'manual',
+  options = {},
+  startedBy = null,
+  resumedFrom = null,
+  scheduleId = null
+} = {}) {
   if (processingState.isRunning) {
     console.log('⚠️  Generation already running');
-    return;
+    return null;
   }
 
   console.log('\n🚀 Starting generation process...');
 
+  currentRun = runStore.create({ trigger, options, startedBy, resumedFrom, scheduleId });
+
   // Reset state
-  processingState = {
+  processingState = createProcessingState({
+    runId: currentRun.id,
     isRunning: true,
-    startTime: Date.now(),
-    totalPrompts: 0,
-    processedPrompts: 0,
-    successCount: 0,
-    failCount: 0,
-    currentPrompt: '',
-    logs: [],
-    error: null
-  };
+    startTime: Date.now()
+  });
+  broadcastState();
 
-  // Spawn batch processor
+  // Spawn batch processor (4th stdio slot = IPC channel for typed events)
   const processor = spawn('node', ['batch-processor-vps.js'], {
     cwd: __dirname,
-    env: process.env
+    env: { ...process.env, [RUN_OPTIONS_ENV]: JSON.stringify(options), LM_RUN_ID: currentRun.id },
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc']
   });
+  currentProcessor = processor;
 
-  processor.stdout.on('data', (data) => {
-    const log = data.toString().trim();
-    console.log(log);
-
-    // Parse log for state updates
-    processingState.logs.push({
-      time: new Date().toISOString(),
-      message: log
-    });
-
-    // Extract progress info from logs (basic regex parsing)
-    if (log.includes('Processing') && log.includes('prompts')) {
-      const match = log.match(/(\d+) prompts/);
-      if (match) {
-        processingState.totalPrompts = parseInt(match[1]);
-      }
-    }
-
-    if (log.includes('Processed:')) {
-      const match = log.match(/Processed: (\d+)\/(\d+)/);
-      if (match) {
-        processingState.processedPrompts = parseInt(match[1]);
-        processingState.totalPrompts = parseInt(match[2]);
-      }
-    }
-
-    if (log.includes('Success:')) {
-      const match = log.match(/Success: (\d+)/);
-      if (match) {
-        processingState.successCount = parseInt(match[1]);
-      }
-    }
+  // Progress state comes from processor events only
+  processor.on('message', (event) => {
+    handleProcessorEvent(event);
+    persistRun();
+    broadcastState();
+  });
 
-    if (log.includes('Failed:')) {
-      const match = log.match(/Failed: (\d+)/);
-      if (match) {
-        processingState.failCount = parseInt(match[1]);
-      }
-    }
+  // Console output is a human-readable log sink, never parsed
+  createInterface({ input: processor.stdout }).on('line', (line) => {
+    if (!line.trim()) return;
+    console.log(line);
+    addLog(line);
   });
 
-  processor.stderr.on('data', (data) => {
-    const error = data.toString().trim();
-    console.error('❌', error);
-    processingState.logs.push({
-      time: new Date().toISOString(),
-      message: `ERROR: ${error}`
-    });
+  createInterface({ input: processor.stderr }).on('line', (line) => {
+    if (!line.trim()) return;
+    console.error('❌', line);
+    addLog(`ERROR: ${line}`);
   });
 
   processor.on('close', (code) => {
     processingState.isRunning = false;
+    processingState.paused = false;
+    currentProcessor = null;
     
-    if (code === 0) {
+    if (code === 0 && processingState.cancelled) {
+      console.log('⏹️  Generation cancelled');
+      addLog(`⏹️  Generation cancelled (${processingState.untouchedPromptIds.length} prompts untouched)`);
+    } else if (code === 0) {
       console.log('✅ Generation completed successfully');
-      processingState.logs.push({
-        time: new Date().toISOString(),
-        message: '✅ Generation completed successfully!'
-      });
+      addLog('✅ Generation completed successfully!');
     } else {
       console.error(`❌ Generation failed with code ${code}`);
-      processingState.error = `Process exited with code ${code}`;
-      processingState.logs.push({
-        time: new Date().toISOString(),
-        message: `❌ Generation failed with code ${code}`
-      });
+      processingState.error = processingState.error || `Process exited with code ${code}`;
+      addLog(`❌ Generation failed with code ${code}`);
+    }
+
+    persistRun({
+      status: code !== 0 ? 'failed' : processingState.cancelled ? 'cancelled' : 'success',
+      exitCode: code,
+      endTime: new Date().toISOString()
+    });
+    try {
+      runCleanup('run finished');
+    } catch (error) {
+      console.error('⚠️  Cleanup failed:', error.message);
+    }
+    broadcastState();
+
+    if (code === 0 && processingState.successCount > 0) {
+      prebuildRunArchive(processingState.runId);
     }
   });
 
   processor.on('error', (error) => {
     console.error('❌ Failed to start processor:', error);
     processingState.isRunning = false;
+    currentProcessor = null;
     processingState.error = error.message;
-    processingState.logs.push({
-      time: new Date().toISOString(),
-      message: `❌ Failed to start: ${error.message}`
-    });
+    addLog(`❌ Failed to start: ${error.message}`);
+    persistRun({ status: 'failed', endTime: new Date().toISOString() });
+    broadcastState();
   });
+
+  return currentRun;
 }
 
 // ============================================================================
-// Helper Functions
+// Run Control (pause / resume / cancel)
 // ============================================================================
 
-function getAllFiles(dirPath, arrayOfFiles = []) {
-  const files = readdirSync(dirPath);
+app.post('/runs/:id/pause', requireRole('operator'), (req, res) => {
+  sendRunCommand(req, res, 'pause');
+});
 
-  files.forEach((file) => {
-    const fullPath = join(dirPath, file);
-    if (statSync(fullPath).isDirectory()) {
-      arrayOfFiles = getAllFiles(fullPath, arrayOfFiles);
-    } else {
-      arrayOfFiles.push(fullPath);
+app.post('/runs/:id/cancel', requireRole('operator'), (req, res) => {
+  sendRunCommand(req, res, 'cancel');
+});
+
+// Resumes a paused active run, or starts a follow-up run for a cancelled /
+// interrupted one (untouched records are still pending in the data source)
+app.post('/runs/:id/resume', requireRole('operator'), (req, res) => {
+  if (isActiveRun(req.params.id)) {
+    sendRunCommand(req, res, 'resume');
+    return;
+  }
+
+  const previous = runStore.get(req.params.id);
+
+  if (!previous) {
+    return res.status(404).json({ success: false, message: 'Run not found' });
+  }
+
+  if (!['cancelled', 'interrupted'].includes(previous.status)) {
+    return res.status(409).json({ success: false, message: `Cannot resume a ${previous.status} run` });
+  }
+
+  if (processingState.isRunning) {
+    return res.status(409).json({ success: false, message: 'Generation already running' });
+  }
+
+  const options = { ...previous.options };
+
+  // Runs limited to specific records only continue with the ones left over
+  if (options.recordIds?.length && previous.untouchedPromptIds?.length) {
+    options.recordIds = options.recordIds.filter(id => previous.untouchedPromptIds.includes(id));
+  }
+
+  if (options.maxPrompts) {
+    options.maxPrompts = Math.max(1, options.maxPrompts - (previous.counts?.processed || 0));
+  }
+
+  const run = startGeneration({
+    trigger: 'resume',
+    options,
+    startedBy: req.user.username,
+    resumedFrom: previous.id
+  });
+
+  res.status(202).json({ success: true, message: 'Follow-up run started', runId: run.id, options });
+});
+
+function isActiveRun(runId) {
+  return processingState.isRunning && processingState.runId === runId && currentProcessor;
+}
+
+function sendRunCommand(req, res, command) {
+  if (!isActiveRun(req.params.id)) {
+    return res.status(409).json({ success: false, message: 'Run is not active' });
+  }
+
+  if (processingState.cancelling) {
+    return res.status(409).json({ success: false, message: 'Run is already being cancelled' });
+  }
+
+  currentProcessor.send({ command });
+  console.log(`🎛️  ${command} requested by ${req.user.username} for ${req.params.id}`);
+  addLog(`🎛️  ${command} requested by ${req.user.username}`);
+
+  res.status(202).json({ success: true, message: `${command} requested`, runId: req.params.id });
+}
+
+// ============================================================================
+// Job Queue
+// ============================================================================
+
+app.get('/queue', requireRole('viewer'), (req, res) => {
+  const state = req.query.state || null;
+
+  if (state && !JOB_STATES.includes(state)) {
+    return res.status(400).json({ success: false, message: `state must be one of: ${JOB_STATES.join(', ')}` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const jobQueue = new JobQueue(QUEUE_PATH, CONFIG.queue);
+
+  res.json({ stats: jobQueue.stats(), jobs: jobQueue.list({ state, limit }) });
+});
+
+app.post('/queue/:id/requeue', requireRole('operator'), (req, res) => {
+  if (processingState.isRunning) {
+    return res.status(409).json({ success: false, message: 'Queue is in use by the active run' });
+  }
+
+  const job = new JobQueue(QUEUE_PATH, CONFIG.queue).requeue(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found' });
+  }
+
+  console.log(`♻️  Job ${job.id} requeued by ${req.user.username}`);
+  res.json({ success: true, job });
+});
+
+// ============================================================================
+// Output Retention + Disk Usage
+// ============================================================================
+// Deletes old run folders from downloads/ and ZIPs from data/archives
+// (config.json retention): every retention.intervalHours, after every run
+// and on POST /cleanup. Runs whose files are gone keep their history,
+// marked with filesDeletedAt.
+
+let diskUsage = null;
+let lastCleanup = null;
+
+function refreshDiskUsage() {
+  try {
+    diskUsage = measureDownloads(DOWNLOADS_DIR, archiveBuilder.dir);
+  } catch (error) {
+    console.error('⚠️  Failed to measure downloads/:', error.message);
+  }
+}
+
+function runCleanup(reason) {
+  const result = applyRetention(DOWNLOADS_DIR, RETENTION, {
+    protect: processingState.isRunning ? [processingState.runId] : [],
+    archiveDir: archiveBuilder.dir
+  });
+
+  const deletedAt = new Date().toISOString();
+  for (const runId of result.deletedRuns) {
+    const run = runStore.get(runId);
+    if (run) {
+      runStore.save({ ...run, filesDeletedAt: deletedAt });
+    }
+  }
+
+  lastCleanup = { time: deletedAt, reason, ...result };
+  refreshDiskUsage();
+
+  if (result.deletedRuns.length + result.deletedFiles + result.deletedArchives + result.emptyFolders > 0) {
+    console.log(`🧹 Cleanup (${reason}): ${result.deletedRuns.length} run folder(s), ` +
+      `${result.deletedFiles} old file(s), ${result.deletedArchives} ZIP(s), ${result.emptyFolders} empty folder(s), ` +
+      `${(result.freedBytes / 1024 / 1024).toFixed(1)} MB freed`);
+  }
+
+  return result;
+}
+
+function scheduleCleanup() {
+  const run = (reason) => {
+    try {
+      runCleanup(reason);
+    } catch (error) {
+      console.error('⚠️  Cleanup failed:', error.message);
     }
+  };
+
+  run('startup');
+  if (RETENTION.intervalHours > 0) {
+    setInterval(() => run('interval'), RETENTION.intervalHours * 60 * 60 * 1000).unref();
+  }
+}
+
+function buildDiskStatus() {
+  let space = null;
+  try {
+    space = getDiskSpace(DOWNLOADS_DIR);
+  } catch (error) {
+    // statfs not supported - show downloads/ usage only
+  }
+
+  return {
+    freeBytes: space?.freeBytes ?? null,
+    totalBytes: space?.totalBytes ?? null,
+    minFreeBytes: DISK_SPACE.minFreeMB * 1024 * 1024,
+    low: !!space && DISK_SPACE.minFreeMB > 0 && space.freeBytes < DISK_SPACE.minFreeMB * 1024 * 1024,
+    downloads: diskUsage,
+    lastCleanup
+  };
+}
+
+app.post('/cleanup', requireRole('operator'), (req, res) => {
+  try {
+    const result = runCleanup(`requested by ${req.user.username}`);
+    res.json({ success: true, ...result, disk: buildDiskStatus() });
+  } catch (error) {
+    console.error('Cleanup error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================================
+// Schedules
+// ============================================================================
+
+app.get('/schedules', requireRole('viewer'), (req, res) => {
+  res.json({ enabled: SCHEDULER_ENABLED, schedules: scheduler.list() });
+});
+
+app.post('/schedules', requireRole('operator'), (req, res) => {
+  const { schedule, errors } = scheduler.add(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Invalid schedule', errors });
+  }
+
+  console.log(`⏰ Schedule "${schedule.name}" (${schedule.cron}) created by ${req.user.username}`);
+  res.status(201).json({ success: true, schedule });
+});
+
+app.put('/schedules/:id', requireRole('operator'), (req, res) => {
+  const { schedule, errors } = scheduler.update(req.params.id, req.body);
+
+  if (errors.length > 0) {
+    const status = errors[0] === 'Schedule not found' ? 404 : 400;
+    return res.status(status).json({ success: false, message: 'Invalid schedule', errors });
+  }
+
+  res.json({ success: true, schedule });
+});
+
+app.delete('/schedules/:id', requireRole('operator'), (req, res) => {
+  if (!scheduler.remove(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Schedule not found (config.json schedules are read-only)' });
+  }
+
+  res.json({ success: true });
+});
+
+// Fire a schedule now (same checks as a timed run: quiet hours, pending records)
+app.post('/schedules/:id/run', requireRole('operator'), async (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ success: false, message: 'Schedule not found' });
+  }
+
+  const result = await scheduler.fire(schedule);
+  res.status(result.started ? 202 : 409).json({ success: result.started, ...result });
+});
+
+async function runScheduled(schedule) {
+  if (processingState.isRunning) {
+    return { started: false, reason: 'Generation already running' };
+  }
+
+  if (schedule.onlyIfPending && !(await hasPendingRecords(schedule.options))) {
+    return { started: false, reason: 'No pending Generation records' };
+  }
+
+  const run = startGeneration({
+    trigger: 'schedule',
+    options: schedule.options,
+    startedBy: `schedule:${schedule.name}`,
+    scheduleId: schedule.id
   });
 
-  return arrayOfFiles;
+  return run
+    ? { started: true, runId: run.id }
+    : { started: false, reason: 'Generation already running' };
+}
+
+// Cheap pre-check so scheduled runs do not spawn the processor for nothing
+async function hasPendingRecords(options = {}) {
+  const jobQueue = new JobQueue(QUEUE_PATH, CONFIG.queue);
+  const work = options.enableVideo ? ['images', 'video'] : ['images'];
+
+  // Records waiting for a retry or dead-lettered do not count
+  for await (const page of dataSource.pendingPages({
+    enableVideo: options.enableVideo,
+    recordIds: options.recordIds,
+    filterFormula: options.filterFormula,
+    fields: [dataSource.fields.prompt]
+  })) {
+    if (page.some(record => jobQueue.wouldRun(record.id, work))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// ============================================================================
+// Processor Events -> processingState
+// ============================================================================
+
+function handleProcessorEvent(event) {
+  if (!event || typeof event.type !== 'string') {
+    return;
+  }
+
+  const prompt = event.promptId ? getPromptState(event.promptId) : null;
+
+  switch (event.type) {
+    case 'run_started':
+      processingState.config = event.config || null;
+      break;
+
+    case 'queue_filled':
+      processingState.queue = event.stats;
+      break;
+
+    case 'batch_fetched':
+      processingState.totalPrompts += event.count;
+      break;
+
+    case 'prompt_started':
+      processingState.currentPrompt = event.prompt;
+      prompt.status = 'running';
+      prompt.prompt = event.prompt;
+      prompt.startedAt = event.time;
+      break;
+
+    case 'gemini_done':
+      prompt.prompt = event.prompt;
+      prompt.geminiDone = true;
+      break;
+
+    case 'images_generated':
+      prompt.imageCount = event.count;
+      prompt.files = event.files || [];
+      prompt.saveErrors = event.saveErrors || [];
+      break;
+
+    case 'video_done':
+      prompt.video = event.success ? 'done' : 'failed';
+      if (!event.success) {
+        prompt.error = event.error;
+      }
+      break;
+
+    case 'prompt_finished':
+      prompt.status = 'success';
+      prompt.imageCount = event.imageCount;
+      prompt.finishedAt = event.time;
+      prompt.saveErrors = event.saveErrors || [];
+      processingState.processedPrompts++;
+      processingState.successCount++;
+      processingState.saveFailures += prompt.saveErrors.length;
+      break;
+
+    case 'prompt_failed':
+      prompt.status = event.transient ? 'retry' : 'failed';
+      prompt.error = event.error;
+      prompt.finishedAt = event.time;
+      processingState.processedPrompts++;
+      processingState.failCount++;
+      break;
+
+    case 'job_dead':
+      prompt.status = 'dead';
+      prompt.error = event.error;
+      break;
+
+    case 'prompt_skipped':
+      prompt.status = 'untouched';
+      prompt.error = null;
+      break;
+
+    case 'run_paused':
+      processingState.paused = true;
+      break;
+
+    case 'run_resumed':
+      processingState.paused = false;
+      break;
+
+    case 'disk_low':
+      processingState.diskLow = {
+        time: event.time,
+        freeBytes: event.freeBytes,
+        requiredBytes: event.requiredBytes,
+        action: event.action
+      };
+      break;
+
+    case 'run_cancelling':
+      processingState.paused = false;
+      processingState.cancelling = true;
+      break;
+
+    case 'run_finished':
+      processingState.currentPrompt = '';
+      processingState.cancelled = !!event.cancelled;
+      processingState.untouchedPromptIds = event.untouchedPromptIds || [];
+      processingState.imageCache = event.imageCache || null;
+      processingState.referenceUploads = event.referenceUploads || null;
+      if (!event.success && event.error) {
+        processingState.error = event.error;
+      }
+      break;
+
+    default:
+      console.warn(`⚠️  Unknown processor event: ${event.type}`);
+  }
+}
+
+function getPromptState(promptId) {
+  if (!processingState.prompts[promptId]) {
+    processingState.prompts[promptId] = {
+      id: promptId,
+      status: 'pending',
+      prompt: '',
+      imageCount: 0,
+      video: null,
+      error: null
+    };
+  }
+
+  return processingState.prompts[promptId];
+}
+
+// ============================================================================
+// Status + Live Updates
+// ============================================================================
+
+function createProcessingState(fields = {}) {
+  return {
+    runId: null,
+    isRunning: false,
+    paused: false,
+    cancelling: false,
+    cancelled: false,
+    startTime: null,
+    totalPrompts: 0,
+    processedPrompts: 0,
+    successCount: 0,
+    failCount: 0,
+    saveFailures: 0,
+    currentPrompt: '',
+    prompts: {},
+    untouchedPromptIds: [],
+    imageCache: null,
+    referenceUploads: null,
+    diskLow: null,
+    queue: null,
+    logs: [],
+    error: null,
+    ...fields
+  };
+}
+
+function buildStatus() {
+  const elapsed = processingState.startTime 
+    ? Math.round((Date.now() - processingState.startTime) / 1000)
+    : 0;
+
+  const percentage = processingState.totalPrompts > 0
+    ? Math.round((processingState.processedPrompts / processingState.totalPrompts) * 100)
+    : 0;
+
+  return {
+    runId: processingState.runId,
+    isRunning: processingState.isRunning,
+    paused: processingState.paused,
+    cancelling: processingState.cancelling,
+    cancelled: processingState.cancelled,
+    progress: {
+      total: processingState.totalPrompts,
+      processed: processingState.processedPrompts,
+      percentage: percentage,
+      success: processingState.successCount,
+      failed: processingState.failCount,
+      saveFailures: processingState.saveFailures
+    },
+    currentPrompt: processingState.currentPrompt,
+    elapsed: elapsed,
+    prompts: Object.values(processingState.prompts),
+    logs: processingState.logs.slice(-10), // Last 10 log entries
+    error: processingState.error,
+    queue: processingState.queue,
+    diskLow: processingState.diskLow,
+    disk: buildDiskStatus(),
+    downloadReady: !processingState.isRunning && processingState.processedPrompts > 0
+  };
+}
+
+function addLog(message) {
+  const entry = {
+    time: new Date().toISOString(),
+    message
+  };
+
+  processingState.logs.push(entry);
+  broadcast('log', entry);
+
+  if (currentRun) {
+    try {
+      runStore.appendLog(currentRun.id, entry);
+    } catch (error) {
+      console.error('⚠️  Failed to write run log:', error.message);
+    }
+  }
+}
+
+function persistRun(fields = {}) {
+  if (!currentRun) return;
+
+  Object.assign(currentRun, {
+    counts: {
+      total: processingState.totalPrompts,
+      processed: processingState.processedPrompts,
+      success: processingState.successCount,
+      failed: processingState.failCount,
+      saveFailures: processingState.saveFailures
+    },
+    config: processingState.config || null,
+    prompts: Object.values(processingState.prompts),
+    untouchedPromptIds: processingState.untouchedPromptIds,
+    imageCache: processingState.imageCache,
+    referenceUploads: processingState.referenceUploads,
+    error: processingState.error
+  }, fields);
+
+  try {
+    runStore.save(currentRun);
+  } catch (error) {
+    console.error('⚠️  Failed to persist run:', error.message);
+  }
+}
+
+function broadcastState() {
+  broadcast('state', buildStatus());
+}
+
+function broadcast(type, data) {
+  const event = { id: ++lastEventId, type, data };
+
+  sseBuffer.push(event);
+  if (sseBuffer.length > SSE_BUFFER_SIZE) {
+    sseBuffer.shift();
+  }
+
+  for (const client of sseClients) {
+    writeSseEvent(client, event);
+  }
+}
+
+function writeSseEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// ============================================================================
+// Access Control
+// ============================================================================
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!AUTH_ENABLED) {
+      req.user = { username: 'anonymous', role: 'operator' };
+      return next();
+    }
+
+    const principal = resolvePrincipal(req, userStore, sessions);
+
+    if (!principal) {
+      // Browsers get the login page, scripts get a JSON 401
+      if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!hasRole(principal, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+
+    req.user = principal;
+    next();
+  };
+}
+
+// Only allow local paths as post-login redirect target
+// (browsers read "//host" and "/\host" as another origin)
+function safeRedirectPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('/') || path.includes('\\')) {
+    return '/';
+  }
+
+  const origin = 'http://localhost';
+  const url = new URL(path, origin);
+  return url.origin === origin ? `${url.pathname}${url.search}${url.hash}` : '/';
 }
 
 // ============================================================================
@@ -310,11 +1225,24 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
   console.log(`✅ Public URL: https://ladiesmanager.srv879239.hstgr.cloud`);
   console.log('\nEndpoints:');
-  console.log(`  GET /          - Start generation + UI`);
+  console.log(`  GET /          - Dashboard UI`);
   console.log(`  GET /status    - JSON status`);
-  console.log(`  GET /download  - Download ZIP`);
-  console.log(`  GET /trigger   - Manual trigger`);
+  console.log(`  GET /events    - Live updates (SSE)`);
+  console.log(`  GET /download  - Download ZIP (latest run, ?run= / ?records= / ?from=&to=)`);
+  console.log(`  GET /runs      - Run history`);
+  console.log(`  GET /gallery   - Gallery of generated images/videos`);
+  console.log(`  POST /runs     - Start a run (alias: POST /trigger)`);
+  console.log(`  GET /schedules - Recurring runs`);
+  console.log(`  POST /cleanup  - Delete old downloads now (retention)`);
+  console.log(`  GET /login     - Login (auth ${AUTH_ENABLED ? 'enabled' : 'DISABLED'})`);
   console.log('='.repeat(60) + '\n');
+
+  scheduleCleanup();
+
+  if (SCHEDULER_ENABLED) {
+    scheduler.start();
+    console.log(`⏰ Scheduler active: ${scheduler.all().filter(s => s.enabled).length} enabled schedule(s)`);
+  }
 });
 
 // Graceful shutdown
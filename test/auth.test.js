@@ -0,0 +1,35 @@
+// ============================================================================
+// Ladies Manager - Auth tests (npm test)
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCookies, resolvePrincipal, SessionManager, SESSION_COOKIE } from '../lib/auth.js';
+
+function request(headers) {
+  return { get: name => headers[name] };
+}
+
+test('parses and decodes cookies', () => {
+  assert.deepEqual(parseCookies('a=1; b=hello%20world; empty='), { a: '1', b: 'hello world', empty: '' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('keeps the raw value of a malformed cookie', () => {
+  assert.deepEqual(parseCookies('other=%E0%A4%A; lm_session=abc'), { other: '%E0%A4%A', lm_session: 'abc' });
+});
+
+test('a malformed session cookie resolves to no principal', () => {
+  const sessions = new SessionManager(60000);
+  const req = request({ Cookie: `${SESSION_COOKIE}=%E0%A4%A` });
+
+  assert.equal(resolvePrincipal(req, null, sessions), null);
+});
+
+test('a malformed unrelated cookie does not break the session', () => {
+  const sessions = new SessionManager(60000);
+  const sessionId = sessions.create({ username: 'anna', role: 'viewer' });
+  const req = request({ Cookie: `tracking=%E0%A4%A; ${SESSION_COOKIE}=${sessionId}` });
+
+  assert.deepEqual(resolvePrincipal(req, null, sessions), { username: 'anna', role: 'viewer' });
+});
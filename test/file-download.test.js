@@ -0,0 +1,233 @@
+// ============================================================================
+// Ladies Manager - File Download tests (npm test)
+// ============================================================================
+// Saves mock provider output through lib/file-download.js the way the
+// processor does: the mock results must pass the file checks. HTTP
+// downloads run against a local server on a random port.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { downloadFile } from '../lib/file-download.js';
+import { detectFormat } from '../lib/image-postprocess.js';
+import { MockProvider } from '../lib/providers/mock.js';
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64, 1)]);
+
+// Short backoff so retries do not slow down the tests
+const FAST = { backoffMs: [10, 10], timeoutMs: 2000 };
+
+function withTmpDir(fn) {
+  return async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'lm-download-'));
+    try {
+      await fn(dir);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// handler(req, res, count): count = number of this request (1, 2, ...)
+async function withServer(handler, fn) {
+  let count = 0;
+  const server = http.createServer((req, res) => handler(req, res, ++count));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, () => count);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function sendPng(res) {
+  res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+  res.end(PNG);
+}
+
+test('saves a mock video as mp4', withTmpDir(async (dir) => {
+  const video = await new MockProvider().generateVideo({ imageUrl: 'data:,', prompt: 'walk', duration: 5 });
+  const result = await downloadFile(video.url, join(dir, 'rec1_video'), { accept: 'video' });
+
+  assert.equal(result.filepath, join(dir, 'rec1_video.mp4'));
+  assert.equal(result.extension, 'mp4');
+  assert.equal(detectFormat(readFileSync(result.filepath)).format, 'mp4');
+  assert.deepEqual(readdirSync(dir), ['rec1_video.mp4']);
+}));
+
+test('saves mock images as png', withTmpDir(async (dir) => {
+  const [image] = await new MockProvider().generate({ prompt: 'portrait', numImages: 1, size: '1024x1024' });
+  const result = await downloadFile(image.url, join(dir, 'rec1_1'), { accept: 'image' });
+
+  assert.equal(result.extension, 'png');
+  assert.deepEqual(readdirSync(dir), ['rec1_1.png']);
+}));
+
+test('rejects a data URL that is not a video', withTmpDir(async (dir) => {
+  const url = `data:video/mp4;base64,${Buffer.from('MOCK VIDEO 5s').toString('base64')}`;
+
+  await assert.rejects(downloadFile(url, join(dir, 'rec1_video'), { accept: 'video' }), /not a video/);
+  assert.deepEqual(readdirSync(dir), []);
+}));
+
+test('follows redirects', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    if (req.url === '/a') {
+      res.writeHead(302, { Location: '/b' });
+      return res.end();
+    }
+    if (req.url === '/b') {
+      res.writeHead(301, { Location: '/image' });
+      return res.end();
+    }
+    sendPng(res);
+  }, async (base) => {
+    const result = await downloadFile(`${base}/a`, join(dir, 'rec1_1'), FAST);
+
+    assert.equal(result.filepath, join(dir, 'rec1_1.png'));
+    assert.equal(result.bytes, PNG.length);
+    assert.equal(result.attempts, 1);
+    assert.deepEqual(readFileSync(result.filepath), PNG);
+  });
+}));
+
+test('stops after maxRedirects without retrying', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    res.writeHead(307, { Location: '/loop' });
+    res.end();
+  }, async (base, requests) => {
+    await assert.rejects(
+      downloadFile(`${base}/loop`, join(dir, 'rec1_1'), { ...FAST, maxRedirects: 2 }),
+      /^Error: more than 2 redirects$/
+    );
+    assert.equal(requests(), 3);
+    assert.deepEqual(readdirSync(dir), []);
+  });
+}));
+
+test('retries 5xx and 429 with backoff', withTmpDir(async (dir) => {
+  const retries = [];
+
+  await withServer((req, res, count) => {
+    if (count === 1) {
+      res.writeHead(503);
+      return res.end();
+    }
+    if (count === 2) {
+      res.writeHead(429);
+      return res.end();
+    }
+    sendPng(res);
+  }, async (base) => {
+    const result = await downloadFile(`${base}/image`, join(dir, 'rec1_1'), {
+      ...FAST,
+      onRetry: (error, attempt, delay) => retries.push([error.message, attempt, delay])
+    });
+
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(retries, [['HTTP 503', 1, 10], ['HTTP 429', 2, 10]]);
+    assert.deepEqual(readdirSync(dir), ['rec1_1.png']);
+  });
+}));
+
+test('gives up after the last retry', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    res.writeHead(500);
+    res.end();
+  }, async (base, requests) => {
+    await assert.rejects(downloadFile(`${base}/image`, join(dir, 'rec1_1'), FAST), (error) => {
+      assert.equal(error.message, 'HTTP 500 (after 3 attempts)');
+      assert.equal(error.retryable, true);
+      return true;
+    });
+    assert.equal(requests(), 3);
+  });
+}));
+
+test('does not retry other 4xx responses', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  }, async (base, requests) => {
+    await assert.rejects(downloadFile(`${base}/image`, join(dir, 'rec1_1'), FAST), /^Error: HTTP 404$/);
+    assert.equal(requests(), 1);
+  });
+}));
+
+test('aborts a stalled download after the idle timeout and retries', withTmpDir(async (dir) => {
+  const retries = [];
+
+  await withServer((req, res, count) => {
+    if (count === 1) {
+      // Headers and the first bytes, then nothing
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+      return res.write(PNG.subarray(0, 8));
+    }
+    sendPng(res);
+  }, async (base) => {
+    const result = await downloadFile(`${base}/image`, join(dir, 'rec1_1'), {
+      ...FAST,
+      timeoutMs: 100,
+      onRetry: (error) => retries.push(error.message)
+    });
+
+    assert.deepEqual(retries, ['timeout after 0.1s without data']);
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(readdirSync(dir), ['rec1_1.png']);
+  });
+}));
+
+test('rejects a body shorter than Content-Length and removes the .part file', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length * 2 });
+    res.write(PNG, () => res.destroy());
+  }, async (base, requests) => {
+    await assert.rejects(downloadFile(`${base}/image`, join(dir, 'rec1_1'), FAST), (error) => {
+      assert.match(error.message, /^connection closed .* \(after 3 attempts\)$/);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+    assert.equal(requests(), 3);
+    assert.deepEqual(readdirSync(dir), []);
+  });
+}));
+
+test('rejects an unexpected content type without retrying', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<html>Access denied</html>');
+  }, async (base, requests) => {
+    await assert.rejects(
+      downloadFile(`${base}/image`, join(dir, 'rec1_1'), FAST),
+      /^Error: unexpected content type text\/html \(expected image\)$/
+    );
+    assert.equal(requests(), 1);
+    assert.deepEqual(readdirSync(dir), []);
+  });
+}));
+
+test('rejects a file whose signature does not match', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end('not really a png');
+  }, async (base) => {
+    await assert.rejects(downloadFile(`${base}/image`, join(dir, 'rec1_1'), FAST), /not an image \(image\/png\)/);
+    assert.deepEqual(readdirSync(dir), []);
+  });
+}));
+
+test('corrects the extension from the signature for generic types', withTmpDir(async (dir) => {
+  await withServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.end(PNG);
+  }, async (base) => {
+    const result = await downloadFile(`${base}/image`, join(dir, 'rec1_1'), FAST);
+    assert.equal(result.extension, 'png');
+  });
+}));
@@ -0,0 +1,137 @@
+// ============================================================================
+// Ladies Manager - Job Queue tests (npm test)
+// ============================================================================
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JobQueue } from '../lib/job-queue.js';
+
+let dir;
+let filepath;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'lm-queue-'));
+  filepath = join(dir, 'queue.json');
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('completes a job and persists it', () => {
+  const queue = new JobQueue(filepath);
+  queue.enqueue('rec1', ['images']);
+  queue.claim('rec1', 'run_1');
+  queue.complete('rec1', ['images']);
+
+  const job = new JobQueue(filepath).get('rec1');
+  assert.equal(job.state, 'done');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastRunId, 'run_1');
+  assert.deepEqual(job.completed, ['images']);
+});
+
+test('a done job is reopened when a new stage is requested', () => {
+  const queue = new JobQueue(filepath);
+  queue.enqueue('rec1', ['images']);
+  queue.claim('rec1');
+  queue.complete('rec1', ['images']);
+
+  assert.equal(queue.enqueue('rec1', ['images']).state, 'done');
+  assert.equal(queue.wouldRun('rec1', ['images']), false);
+
+  const job = queue.enqueue('rec1', ['images', 'video']);
+  assert.equal(job.state, 'queued');
+  assert.equal(job.attempts, 0);
+  assert.deepEqual(job.completed, ['images']);
+  assert.equal(queue.wouldRun('rec1', ['images', 'video']), true);
+});
+
+test('fail requeues with backoff until maxAttempts, then dead-letters', () => {
+  const queue = new JobQueue(filepath, { maxAttempts: 2, retryBaseMinutes: 5 });
+  queue.enqueue('rec1', ['images']);
+
+  queue.claim('rec1');
+  const before = Date.now();
+  let job = queue.fail('rec1', 'HTTP 500');
+  assert.equal(job.state, 'queued');
+  assert.equal(job.lastError, 'HTTP 500');
+  assert.ok(new Date(job.nextEligibleAt).getTime() >= before + 5 * 60 * 1000);
+
+  queue.claim('rec1');
+  job = queue.fail('rec1', 'HTTP 500');
+  assert.equal(job.state, 'dead');
+  assert.equal(job.nextEligibleAt, null);
+});
+
+test('a permanent failure dead-letters on the first attempt', () => {
+  const queue = new JobQueue(filepath, { maxAttempts: 5 });
+  queue.enqueue('rec1', ['images']);
+  queue.claim('rec1');
+
+  const job = queue.fail('rec1', 'Unknown persona "Nobody"', [], { permanent: true });
+  assert.equal(job.state, 'dead');
+  assert.equal(job.attempts, 1);
+  assert.equal(queue.wouldRun('rec1', ['images']), false);
+
+  // Dead jobs stay dead until requeued
+  assert.equal(queue.enqueue('rec1', ['images', 'video']).state, 'dead');
+  assert.equal(queue.requeue('rec1').state, 'queued');
+});
+
+test('fail keeps the stages that finished', () => {
+  const queue = new JobQueue(filepath);
+  queue.enqueue('rec1', ['images', 'video']);
+  queue.claim('rec1');
+
+  const job = queue.fail('rec1', 'Video generation failed', ['images']);
+  assert.deepEqual(job.completed, ['images']);
+});
+
+test('release does not count as an attempt', () => {
+  const queue = new JobQueue(filepath);
+  queue.enqueue('rec1', ['images']);
+  queue.claim('rec1');
+
+  const job = queue.release('rec1');
+  assert.equal(job.state, 'queued');
+  assert.equal(job.attempts, 0);
+});
+
+test('recoverStale requeues jobs left running by a crashed processor', () => {
+  const queue = new JobQueue(filepath);
+  queue.enqueue('rec1', ['images']);
+  queue.enqueue('rec2', ['images']);
+  queue.claim('rec1');
+  queue.save();
+
+  const restarted = new JobQueue(filepath);
+  assert.equal(restarted.wouldRun('rec1', ['images']), false);
+  assert.equal(restarted.recoverStale(), 1);
+  assert.equal(restarted.get('rec1').state, 'queued');
+  assert.equal(restarted.wouldRun('rec1', ['images']), true);
+  assert.equal(new JobQueue(filepath).get('rec1').state, 'queued');
+});
+
+test('retryDelayMs doubles up to retryMaxMinutes', () => {
+  const queue = new JobQueue(filepath, { retryBaseMinutes: 5, retryMaxMinutes: 30 });
+  const minutes = [1, 2, 3, 4, 10].map(attempts => queue.retryDelayMs(attempts) / 60000);
+
+  assert.deepEqual(minutes, [5, 10, 20, 30, 30]);
+});
+
+test('wouldRun waits for nextEligibleAt', () => {
+  const queue = new JobQueue(filepath);
+  queue.enqueue('rec1', ['images']);
+  queue.claim('rec1');
+  const job = queue.fail('rec1', 'HTTP 503');
+  const eligibleAt = new Date(job.nextEligibleAt);
+
+  assert.equal(queue.wouldRun('rec1', ['images'], new Date(eligibleAt.getTime() - 1000)), false);
+  assert.equal(queue.wouldRun('rec1', ['images'], eligibleAt), true);
+  assert.equal(queue.wouldRun('unknown', ['images']), true);
+  assert.equal(queue.stats(new Date(eligibleAt.getTime() - 1000)).waiting, 1);
+});
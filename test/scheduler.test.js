@@ -0,0 +1,111 @@
+// ============================================================================
+// Ladies Manager - Scheduler tests (npm test)
+// ============================================================================
+// Dates are built in server local time, like the cron expressions.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression, isInQuietHours, validateSchedule } from '../lib/scheduler.js';
+
+const sorted = set => [...set].sort((a, b) => a - b);
+
+test('parses steps, ranges and lists', () => {
+  const cron = new CronExpression('*/15 1-5 5,10 1-10/2 *');
+
+  assert.deepEqual(sorted(cron.minutes), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(cron.hours), [1, 2, 3, 4, 5]);
+  assert.deepEqual(sorted(cron.daysOfMonth), [5, 10]);
+  assert.deepEqual(sorted(cron.months), [1, 3, 5, 7, 9]);
+  assert.deepEqual(sorted(new CronExpression('0 10/6 * * *').hours), [10, 16, 22]);
+});
+
+test('accepts 7 as Sunday', () => {
+  const cron = new CronExpression('0 9 * * 7');
+
+  assert.equal(cron.matches(new Date(2024, 5, 2, 9, 0)), true); // Sunday
+  assert.equal(cron.matches(new Date(2024, 5, 3, 9, 0)), false); // Monday
+});
+
+test('rejects invalid expressions', () => {
+  assert.throws(() => new CronExpression('0 9 * *'), /needs 5 fields, got 4/);
+  assert.throws(() => new CronExpression('60 9 * * *'), /Invalid minute field/);
+  assert.throws(() => new CronExpression('0 5-1 * * *'), /Invalid hour field/);
+  assert.throws(() => new CronExpression('0 9 0 * *'), /Invalid day of month field/);
+  assert.throws(() => new CronExpression('0 9 * 13 *'), /Invalid month field/);
+  assert.throws(() => new CronExpression('*/0 9 * * *'), /Invalid minute field/);
+  assert.throws(() => new CronExpression('0 9 * * mon'), /Invalid day of week field/);
+});
+
+test('day of month and day of week match either when both are restricted', () => {
+  const both = new CronExpression('0 0 13 * 5');
+  assert.equal(both.matches(new Date(2024, 8, 13, 0, 0)), true); // Friday 13th
+  assert.equal(both.matches(new Date(2024, 8, 6, 0, 0)), true); // Friday
+  assert.equal(both.matches(new Date(2024, 9, 13, 0, 0)), true); // Sunday 13th
+  assert.equal(both.matches(new Date(2024, 8, 7, 0, 0)), false);
+
+  const dowOnly = new CronExpression('0 0 * * 5');
+  assert.equal(dowOnly.matches(new Date(2024, 9, 13, 0, 0)), false);
+});
+
+test('next() finds the following minute, month and year', () => {
+  const everyFive = new CronExpression('*/5 * * * *');
+  assert.deepEqual(everyFive.next(new Date(2024, 0, 1, 10, 0, 30)), new Date(2024, 0, 1, 10, 5));
+
+  const firstOfMonth = new CronExpression('30 6 1 * *');
+  assert.deepEqual(firstOfMonth.next(new Date(2024, 0, 31, 12, 0)), new Date(2024, 1, 1, 6, 30));
+
+  const newYear = new CronExpression('0 0 1 1 *');
+  assert.deepEqual(newYear.next(new Date(2024, 11, 31, 23, 59)), new Date(2025, 0, 1, 0, 0));
+});
+
+test('next() reaches 29 February and gives up on impossible dates', () => {
+  const leapDay = new CronExpression('0 12 29 2 *');
+  assert.deepEqual(leapDay.next(new Date(2024, 2, 1)), new Date(2028, 1, 29, 12, 0));
+
+  assert.equal(new CronExpression('0 0 31 2 *').next(new Date(2024, 0, 1)), null);
+});
+
+test('quiet hours may wrap midnight', () => {
+  const night = { start: '22:00', end: '06:00' };
+  assert.equal(isInQuietHours(night, new Date(2024, 0, 1, 23, 30)), true);
+  assert.equal(isInQuietHours(night, new Date(2024, 0, 1, 3, 0)), true);
+  assert.equal(isInQuietHours(night, new Date(2024, 0, 1, 6, 0)), false);
+  assert.equal(isInQuietHours(night, new Date(2024, 0, 1, 21, 59)), false);
+
+  const lunch = { start: '12:00', end: '13:30' };
+  assert.equal(isInQuietHours(lunch, new Date(2024, 0, 1, 12, 0)), true);
+  assert.equal(isInQuietHours(lunch, new Date(2024, 0, 1, 13, 30)), false);
+
+  assert.equal(isInQuietHours(null, new Date()), false);
+});
+
+test('validateSchedule applies defaults', () => {
+  const { schedule, errors } = validateSchedule({ name: 'Nightly', cron: '0 2 * * *' });
+
+  assert.deepEqual(errors, []);
+  assert.equal(schedule.enabled, true);
+  assert.equal(schedule.onlyIfPending, true);
+  assert.equal(schedule.quietHours, null);
+});
+
+test('validateSchedule reports every invalid field', () => {
+  const { errors } = validateSchedule({
+    cron: '0 25 * * *',
+    enabled: 'yes',
+    onlyIfPending: 1,
+    quietHours: { start: '22:00' },
+    options: { unknown: true }
+  });
+
+  assert.deepEqual(errors, [
+    'name is required',
+    'Invalid hour field: "25" (allowed 0-23)',
+    'options: Unknown option "unknown"',
+    'quietHours must be { "start": "HH:MM", "end": "HH:MM" }',
+    'enabled must be true or false',
+    'onlyIfPending must be true or false'
+  ]);
+
+  assert.deepEqual(validateSchedule([]).errors, ['Schedule must be a JSON object']);
+});